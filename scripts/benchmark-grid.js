@@ -0,0 +1,65 @@
+/**
+ * Grid generation and mirror lookup benchmark
+ *
+ * Times generateGrid, building the mirror map for every mirror mode and the
+ * per-click mirror lookup on large walls, in both hex orientations.
+ *
+ * Usage: npm run benchmark
+ */
+import { getGridDimensions, generateGrid, buildMirrorMap } from '../src/utils/hexMath.js';
+
+// Pixels per point spacing, as rendered by the app
+const PIXEL_SIZE = 30;
+
+// Walls in inches: [width, length, point spacing]
+const SIZES = [
+  [240, 240, 6],
+  [600, 600, 6],
+  [1200, 1200, 6]
+];
+
+const MIRROR_MODES = ['horizontal', 'both', 'radial', 'rotate3', 'rotate6', 'kaleidoscope'];
+
+// Run fn a few times and report the fastest, in milliseconds
+function time(fn, runs = 3) {
+  let best = Infinity;
+  let result;
+  for (let i = 0; i < runs; i++) {
+    const start = performance.now();
+    result = fn();
+    best = Math.min(best, performance.now() - start);
+  }
+  return { ms: best, result };
+}
+
+const format = (ms) => `${ms.toFixed(ms < 10 ? 2 : 1)} ms`.padStart(10);
+const formatMicro = (ms) => `${(ms * 1000).toFixed(2)} µs`.padStart(10);
+
+for (const pointyTop of [true, false]) {
+  console.log(`\n${pointyTop ? 'Pointy-top' : 'Flat-top'}`);
+
+  for (const [width, length, spacing] of SIZES) {
+    const dims = getGridDimensions(width, length, spacing, pointyTop);
+    const { ms, result: grid } = time(() => {
+      return generateGrid(dims.cols, dims.colsOdd, dims.rows, dims.rowsOdd, PIXEL_SIZE, pointyTop);
+    });
+    console.log(
+      `  ${width}" × ${length}" @ ${spacing}": ${grid.edges.length} edges, ` +
+      `${grid.vertices.size} vertices, generated in${format(ms)}`
+    );
+
+    for (const mode of MIRROR_MODES) {
+      const build = time(() => buildMirrorMap(mode, pointyTop, grid.vertices, grid.edgeIndex));
+      const { mirrors } = build.result;
+
+      // A click looks up one edge's mirrors; sample edges across the grid
+      const samples = grid.edges.filter((edge, index) => index % 97 === 0);
+      const lookup = time(() => samples.forEach(edge => mirrors.get(edge.key)), 10);
+
+      console.log(
+        `    ${mode.padEnd(12)} mirror map${format(build.ms)}, ` +
+        `lookup${formatMicro(lookup.ms / samples.length)} per click`
+      );
+    }
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Hex font check
+ *
+ * Lays out every glyph of the text tool's font in both hex orientations at
+ * scales 1-3 and checks it lights up as one connected piece, so lettering
+ * never needs an extra power or data feed per glyph. '=' is two separate bars
+ * by design. Exits with an error if any other glyph comes apart.
+ *
+ * Usage: npm run check:font
+ */
+import { register } from 'node:module';
+
+// The app's modules import each other without file extensions, as Vite allows
+register('data:text/javascript,' + encodeURIComponent(`
+export async function resolve(specifier, context, next) {
+  try {
+    return await next(specifier, context);
+  } catch (error) {
+    if (specifier.startsWith('.') && !specifier.endsWith('.js')) return next(specifier + '.js', context);
+    throw error;
+  }
+}
+`), import.meta.url);
+
+const { GLYPHS, layoutText } = await import('../src/utils/hexFont.js');
+const { buildAdjacency, findComponents } = await import('../src/utils/graph.js');
+
+// Glyphs drawn in more than one piece on purpose
+const SPLIT_GLYPHS = new Set(['=', ' ']);
+
+const failures = [];
+for (const pointyTop of [true, false]) {
+  for (const scale of [1, 2, 3]) {
+    for (const char of Object.keys(GLYPHS)) {
+      if (SPLIT_GLYPHS.has(char)) continue;
+      const { characters } = layoutText(char, { scale, letterSpacing: 1 }, '0,0', 30, pointyTop);
+      const edges = characters[0].edges.map(key => {
+        const [v1, v2] = key.split('|');
+        return { key, v1, v2 };
+      });
+      const pieces = findComponents(buildAdjacency(new Set(edges.map(edge => edge.key)), edges)).length;
+      if (pieces !== 1) {
+        failures.push(`'${char}' at scale ${scale}, ${pointyTop ? 'pointy-top' : 'flat-top'}: ${pieces} pieces`);
+      }
+    }
+  }
+}
+
+if (failures.length > 0) {
+  console.error(`Glyphs that come apart:\n  ${failures.join('\n  ')}`);
+  process.exit(1);
+}
+console.log(`All ${Object.keys(GLYPHS).length - SPLIT_GLYPHS.size} glyphs are connected in both orientations at scales 1-3.`);
@@ -1,12 +1,25 @@
-import { useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useHexGrid } from './hooks/useHexGrid';
-import { useLocalStorage } from './hooks/useLocalStorage';
+import { useViewport } from './hooks/useViewport';
+import { useLocalStorage, saveDesign, loadDesigns, getUniqueDesignName } from './hooks/useLocalStorage';
 import { HexGrid } from './components/HexGrid';
 import { Controls } from './components/Controls';
 import { Stats } from './components/Stats';
 import { ThemeToggle } from './components/ThemeToggle';
 import { UnitToggle } from './components/UnitToggle';
 import { GuideToggle } from './components/GuideToggle';
+import { HistoryControls } from './components/HistoryControls';
+import { SharedDesignPreview } from './components/SharedDesignPreview';
+import { ViewControls } from './components/ViewControls';
+import { Minimap } from './components/Minimap';
+import { generateSvg } from './utils/exportSvg';
+import { generateDxf } from './utils/exportDxf';
+import { generateBomCsv } from './utils/billOfMaterials';
+import { generateWiringCsv } from './utils/wiringPlan';
+import { getLedPositions, quantizeLeds, generatePixelMap, PIXEL_MAP_FORMATS } from './utils/pixelMap';
+import { downloadFile, toFileName } from './utils/download';
+import { hasShareLink, decodeShareLink } from './utils/shareLink';
+import { DesignFileError } from './utils/designFile';
 
 // Conversion factor: 1 inch = 2.54 cm
 const INCH_TO_CM = 2.54;
@@ -15,19 +28,29 @@ function App() {
   const [theme, setTheme] = useLocalStorage('hexlight-theme', 'dark');
   const [units, setUnits] = useLocalStorage('hexlight-units', 'in');
   const [showGuides, setShowGuides] = useLocalStorage('hexlight-guides', true);
+  // Active grid tool: 'draw' edits edges and cells, 'select' selects and
+  // moves, 'feed' places power feeds, 'wiring' picks the start joint of the
+  // data run, 'generate' places parametric shapes, 'text' places lettering
+  const [tool, setTool] = useLocalStorage('hexlight-tool', 'draw');
+  const [selectionShape, setSelectionShape] = useLocalStorage('hexlight-selection-shape', 'rectangle');
+  // Last pointer position over the grid (SVG pixels), where pastes land
+  const lastPointer = useRef(null);
+  const [showWiring, setShowWiring] = useLocalStorage('hexlight-show-wiring', false);
+  const [showConnections, setShowConnections] = useLocalStorage('hexlight-show-connections', true);
+  // Design opened from a share link: { name, design }, or { error } if the
+  // link couldn't be read. Shown instead of the editor until closed.
+  const [shared, setShared] = useState(null);
 
   const {
     // Configuration (internal storage: inches - see useHexGrid for details)
     width,
-    setWidth,
     length,
-    setLength,
     spacing,
-    setSpacing,
     pointyTop,
-    setPointyTop,
     mirrorMode,
     setMirrorMode,
+    mirrorAxes,
+    setMirrorAxes,
 
     // Limits
     maxSegments,
@@ -38,24 +61,110 @@ function App() {
     setMaxJoints3,
     limitsExceeded,
 
+    // Electrical
+    ledSpecs,
+    setLedSpecs,
+    powerFeeds,
+    setPowerFeeds,
+    voltageSettings,
+    setVoltageSettings,
+    showVoltage,
+    setShowVoltage,
+    setWiringStart,
+
+    // Effect preview
+    effect,
+    setEffect,
+
+    // Pricing
+    priceList,
+    setPriceList,
+    cableMetres,
+    setCableMetres,
+
     // Grid data
     gridDimensions,
     vertices,
     allEdges,
+    edgeIndex,
+    cells,
     enabledEdges,
     viewBox,
     pixelSize,
 
     // Statistics
     stats,
+    unmirroredEdges,
+    islands,
+    islandConnections,
+    billOfMaterials,
+    bomSpares,
+    setBomSpares,
+    costEstimate,
+    powerBudget,
+    voltageDrop,
+    wiringPlan,
 
     // Actions
-    toggleEdge,
-    clearAll,
+    getMirrors,
+    paintEdges,
+    toggleCell,
+    togglePowerFeed,
+    connectIslands,
+    createGrid,
     getDesignState,
-    loadDesignState
+    loadDesignState,
+
+    // Selection
+    selectedEdges,
+    selectionNotice,
+    hasClipboard,
+    selectEdges,
+    clearSelection,
+    snapSelectionOffset,
+    copySelection,
+    cutSelection,
+    pasteClipboard,
+    deleteSelection,
+    moveSelection,
+    rotateSelection,
+    flipSelection,
+
+    // Shape generator
+    generator,
+    setGenerator,
+    shapeAnchorPoint,
+    placeShapeAnchor,
+    shapePreview,
+    shapeEdgeCount,
+    shapeOutsideCount,
+    applyShape,
+
+    // Text tool
+    lettering,
+    setLettering,
+    textAnchorPoint,
+    placeTextAnchor,
+    textPreview,
+    textEdgeCount,
+    textUnsupported,
+    textOutside,
+    applyText,
+
+    // History
+    undo,
+    redo,
+    canUndo,
+    canRedo
   } = useHexGrid();
 
+  // Zoom and pan of the grid view
+  const { view, zoom, zoomAt, zoomBy, panBy, centerOn, fitTo, fitGrid } = useViewport(viewBox);
+
+  const fitDesign = useCallback(() => {
+    fitTo(stats.boundingBox, pixelSize);
+  }, [fitTo, stats.boundingBox, pixelSize]);
+
   // Convert inches to display units
   const toDisplayUnits = useCallback((inches) => {
     return units === 'cm' ? inches * INCH_TO_CM : inches;
@@ -71,79 +180,362 @@ function App() {
     setUnits(prev => prev === 'in' ? 'cm' : 'in');
   }, [setUnits]);
 
+  // Export the enabled design as a standalone SVG in the current units
+  const handleExportSvg = useCallback((name, options) => {
+    const svg = generateSvg({
+      name,
+      vertices,
+      allEdges,
+      enabledEdges,
+      stats,
+      spacing,
+      pixelSize,
+      units,
+      ...options
+    });
+    downloadFile(toFileName(name, 'svg'), svg, 'image/svg+xml');
+  }, [vertices, allEdges, enabledEdges, stats, spacing, pixelSize, units]);
+
+  // Export the enabled design as DXF for fabrication (metric users get mm)
+  const handleExportDxf = useCallback((name) => {
+    const dxf = generateDxf({
+      vertices,
+      allEdges,
+      enabledEdges,
+      spacing,
+      pixelSize,
+      units: units === 'cm' ? 'mm' : 'in'
+    });
+    downloadFile(toFileName(name, 'dxf'), dxf, 'application/dxf');
+  }, [vertices, allEdges, enabledEdges, spacing, pixelSize, units]);
+
+  // Download the bill of materials as a CSV order sheet
+  const handleExportBom = useCallback(() => {
+    const csv = generateBomCsv(billOfMaterials, bomSpares, units);
+    downloadFile('bill-of-materials.csv', csv, 'text/csv');
+  }, [billOfMaterials, bomSpares, units]);
+
+  // Download the wiring route as an ordered segment list
+  const handleExportWiring = useCallback(() => {
+    const csv = generateWiringCsv(wiringPlan, vertices, spacing, pixelSize, units);
+    downloadFile('wiring-plan.csv', csv, 'text/csv');
+  }, [wiringPlan, vertices, spacing, pixelSize, units]);
+
+  // Export LED positions for controller software (WLED, xLights, FastLED)
+  const handleExportPixelMap = useCallback((name, format, order) => {
+    const { ledsPerSegment } = ledSpecs;
+    const positions = getLedPositions(order, wiringPlan, enabledEdges, allEdges, vertices, ledsPerSegment);
+    const map = quantizeLeds(positions, pixelSize / ledsPerSegment);
+    const { extension, mimeType } = PIXEL_MAP_FORMATS.find(f => f.value === format);
+    const fileName = format === 'wled' ? 'ledmap.json' : toFileName(name, extension);
+    downloadFile(fileName, generatePixelMap(format, name, map), mimeType);
+  }, [ledSpecs, wiringPlan, enabledEdges, allEdges, vertices, pixelSize]);
+
+  // LEDs in wiring order for the animated preview
+  const effectLeds = useMemo(() => {
+    if (!effect.enabled) return [];
+    return getLedPositions('wiring', wiringPlan, enabledEdges, allEdges, vertices, ledSpecs.ledsPerSegment);
+  }, [effect.enabled, wiringPlan, enabledEdges, allEdges, vertices, ledSpecs.ledsPerSegment]);
+
+  // Joint clicks place feeds or pick the wiring start, depending on the tool
+  const handleVertexClick = useCallback((vertexKey) => {
+    if (tool === 'feed') togglePowerFeed(vertexKey);
+    else if (tool === 'wiring') setWiringStart(vertexKey);
+  }, [tool, togglePowerFeed, setWiringStart]);
+
+  const handlePointerTrack = useCallback((point) => {
+    lastPointer.current = point;
+  }, []);
+
+  const handlePaste = useCallback(() => {
+    pasteClipboard(lastPointer.current);
+  }, [pasteClipboard]);
+
   // Apply theme to document
   useEffect(() => {
     document.documentElement.setAttribute('data-theme', theme);
   }, [theme]);
 
+  // Open share links on load and when the hash changes
+  useEffect(() => {
+    const openShareLink = () => {
+      if (!hasShareLink(window.location.hash)) return;
+      decodeShareLink(window.location.hash)
+        .then(setShared)
+        .catch(error => setShared({
+          error: error instanceof DesignFileError ? error.message : 'This share link could not be opened.'
+        }));
+    };
+
+    openShareLink();
+    window.addEventListener('hashchange', openShareLink);
+    return () => window.removeEventListener('hashchange', openShareLink);
+  }, []);
+
+  const closeShared = useCallback(() => {
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    setShared(null);
+  }, []);
+
+  // Copy the shared design into the library (never into the working design)
+  const saveShared = useCallback(() => {
+    if (saveDesign(getUniqueDesignName(shared.name, loadDesigns()), shared.design)) {
+      closeShared();
+    }
+  }, [shared, closeShared]);
+
+  // Undo/redo keyboard shortcuts (text inputs keep their own undo)
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (shared || !(e.ctrlKey || e.metaKey)) return;
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo, shared]);
+
+  // Select tool shortcuts: clipboard, delete, rotate, flip, clear
+  useEffect(() => {
+    if (shared || tool !== 'select' || !showGuides) return;
+
+    const handleKeyDown = (e) => {
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+      const key = e.key.toLowerCase();
+      const actions = (e.ctrlKey || e.metaKey)
+        ? { c: copySelection, x: cutSelection, v: handlePaste }
+        : {
+          delete: deleteSelection,
+          backspace: deleteSelection,
+          escape: clearSelection,
+          r: () => rotateSelection(e.shiftKey ? -1 : 1),
+          h: () => flipSelection(true),
+          v: () => flipSelection(false)
+        };
+
+      if (actions[key]) {
+        e.preventDefault();
+        actions[key]();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [shared, tool, showGuides, copySelection, cutSelection, handlePaste, deleteSelection, clearSelection, rotateSelection, flipSelection]);
+
   const handleThemeToggle = () => {
     setTheme(prev => prev === 'dark' ? 'light' : 'dark');
   };
 
   return (
-    <div className="app">
+    <div className={`app${shared?.error ? ' with-banner' : ''}`}>
       <header className="header">
         <h1>Hex Light Designer</h1>
         <div className="header-controls">
-          <GuideToggle showGuides={showGuides} onToggle={() => setShowGuides(prev => !prev)} />
+          {!shared?.design && (
+            <>
+              <HistoryControls canUndo={canUndo} canRedo={canRedo} onUndo={undo} onRedo={redo} />
+              <GuideToggle showGuides={showGuides} onToggle={() => setShowGuides(prev => !prev)} />
+            </>
+          )}
           <UnitToggle units={units} onToggle={handleUnitToggle} />
           <ThemeToggle theme={theme} onToggle={handleThemeToggle} />
         </div>
       </header>
 
-      <main className="main-content">
-        <Controls
-          width={width}
-          setWidth={setWidth}
-          length={length}
-          setLength={setLength}
-          spacing={spacing}
-          setSpacing={setSpacing}
-          pointyTop={pointyTop}
-          setPointyTop={setPointyTop}
-          mirrorMode={mirrorMode}
-          setMirrorMode={setMirrorMode}
-          maxSegments={maxSegments}
-          setMaxSegments={setMaxSegments}
-          maxJoints2={maxJoints2}
-          setMaxJoints2={setMaxJoints2}
-          maxJoints3={maxJoints3}
-          setMaxJoints3={setMaxJoints3}
-          gridDimensions={gridDimensions}
-          onClear={clearAll}
-          getDesignState={getDesignState}
-          loadDesignState={loadDesignState}
+      {shared?.error && (
+        <div className="shared-preview-bar">
+          <span className="stat-note warning">{shared.error}</span>
+          <button onClick={closeShared}>Close</button>
+        </div>
+      )}
+
+      {shared?.design ? (
+        <SharedDesignPreview
+          name={shared.name}
+          design={shared.design}
           units={units}
           toDisplayUnits={toDisplayUnits}
-          toInches={toInches}
+          onSave={saveShared}
+          onClose={closeShared}
         />
-
-        <div className="grid-container">
-          <HexGrid
-            vertices={vertices}
-            allEdges={allEdges}
-            enabledEdges={enabledEdges}
-            viewBox={viewBox}
-            onEdgeClick={toggleEdge}
-            jointCounts={stats.jointCounts}
-            mirrorMode={mirrorMode}
+      ) : (
+        <main className="main-content">
+          <Controls
+            width={width}
+            length={length}
+            spacing={spacing}
             pointyTop={pointyTop}
-            showGuides={showGuides}
+            mirrorMode={mirrorMode}
+            setMirrorMode={setMirrorMode}
+            mirrorAxes={mirrorAxes}
+            setMirrorAxes={setMirrorAxes}
+            unmirroredCount={unmirroredEdges.size}
+            maxSegments={maxSegments}
+            setMaxSegments={setMaxSegments}
+            maxJoints2={maxJoints2}
+            setMaxJoints2={setMaxJoints2}
+            maxJoints3={maxJoints3}
+            setMaxJoints3={setMaxJoints3}
+            ledSpecs={ledSpecs}
+            setLedSpecs={setLedSpecs}
+            tool={tool}
+            setTool={setTool}
+            selectionShape={selectionShape}
+            setSelectionShape={setSelectionShape}
+            selectedCount={selectedEdges.length}
+            selectionNotice={selectionNotice}
+            hasClipboard={hasClipboard}
+            onCutSelection={cutSelection}
+            onCopySelection={copySelection}
+            onPasteClipboard={handlePaste}
+            onDeleteSelection={deleteSelection}
+            onRotateSelection={rotateSelection}
+            onFlipSelection={flipSelection}
+            onClearSelection={clearSelection}
+            generator={generator}
+            setGenerator={setGenerator}
+            shapeEdgeCount={shapeEdgeCount}
+            shapeOutsideCount={shapeOutsideCount}
+            onApplyShape={applyShape}
+            lettering={lettering}
+            setLettering={setLettering}
+            textEdgeCount={textEdgeCount}
+            textUnsupported={textUnsupported}
+            textOutside={textOutside}
+            onApplyText={applyText}
+            voltageSettings={voltageSettings}
+            setVoltageSettings={setVoltageSettings}
+            effect={effect}
+            setEffect={setEffect}
+            showVoltage={showVoltage}
+            setShowVoltage={setShowVoltage}
+            hasPowerFeeds={powerFeeds.length > 0}
+            onClearPowerFeeds={() => setPowerFeeds([])}
+            priceList={priceList}
+            setPriceList={setPriceList}
+            cableMetres={cableMetres}
+            setCableMetres={setCableMetres}
+            gridDimensions={gridDimensions}
+            onCreateGrid={createGrid}
+            getDesignState={getDesignState}
+            loadDesignState={loadDesignState}
+            units={units}
+            toDisplayUnits={toDisplayUnits}
+            toInches={toInches}
+            canExport={stats.segments > 0}
+            onExportSvg={handleExportSvg}
+            onExportDxf={handleExportDxf}
+            onExportPixelMap={handleExportPixelMap}
           />
-        </div>
 
-        <Stats
-          stats={stats}
-          maxSegments={maxSegments}
-          maxJoints2={maxJoints2}
-          maxJoints3={maxJoints3}
-          limitsExceeded={limitsExceeded}
-          units={units}
-          toDisplayUnits={toDisplayUnits}
-          spacing={spacing}
-          pixelSize={pixelSize}
-        />
-      </main>
+          <div className="grid-container">
+            <ViewControls
+              zoom={zoom}
+              onZoomIn={() => zoomBy(1.5)}
+              onZoomOut={() => zoomBy(1 / 1.5)}
+              onFitGrid={fitGrid}
+              onFitDesign={stats.segments > 0 ? fitDesign : null}
+            />
+            <HexGrid
+              vertices={vertices}
+              allEdges={allEdges}
+              edgeIndex={edgeIndex}
+              cells={cells}
+              enabledEdges={enabledEdges}
+              viewBox={viewBox}
+              view={view}
+              onZoom={zoomAt}
+              onPan={panBy}
+              onEdgePaint={paintEdges}
+              onCellClick={toggleCell}
+              tool={tool}
+              onVertexClick={handleVertexClick}
+              powerFeeds={powerFeeds}
+              voltageDrop={voltageDrop}
+              supplyVoltage={ledSpecs.voltage}
+              wiringPlan={showWiring ? wiringPlan : null}
+              selectedEdges={selectedEdges}
+              selectionShape={selectionShape}
+              onSelect={selectEdges}
+              onMoveSelection={moveSelection}
+              snapSelectionOffset={snapSelectionOffset}
+              onPointerTrack={handlePointerTrack}
+              shapePreview={tool === 'text' ? textPreview : shapePreview}
+              shapeAnchor={tool === 'text' ? textAnchorPoint : shapeAnchorPoint}
+              onAnchorPick={tool === 'text' ? placeTextAnchor : placeShapeAnchor}
+              islandOf={islands.islands.length > 1 ? islands.islandOf : null}
+              suggestedEdges={showConnections ? islandConnections : []}
+              effect={effect.enabled ? effect : null}
+              effectLeds={effectLeds}
+              ledRadius={(pixelSize / ledSpecs.ledsPerSegment) * 0.4}
+              getMirrors={getMirrors}
+              jointCounts={stats.jointCounts}
+              mirrorMode={mirrorMode}
+              mirrorAxes={mirrorAxes}
+              onMirrorAxesChange={setMirrorAxes}
+              unmirroredEdges={unmirroredEdges}
+              pointyTop={pointyTop}
+              showGuides={showGuides}
+            />
+            {zoom > 1 && (
+              <Minimap
+                vertices={vertices}
+                allEdges={allEdges}
+                enabledEdges={enabledEdges}
+                viewBox={viewBox}
+                view={view}
+                onNavigate={centerOn}
+              />
+            )}
+          </div>
+
+          <Stats
+            stats={stats}
+            islandCount={islands.islands.length}
+            islandConnections={islandConnections}
+            showConnections={showConnections}
+            setShowConnections={setShowConnections}
+            onConnectIslands={connectIslands}
+            maxSegments={maxSegments}
+            maxJoints2={maxJoints2}
+            maxJoints3={maxJoints3}
+            limitsExceeded={limitsExceeded}
+            units={units}
+            toDisplayUnits={toDisplayUnits}
+            spacing={spacing}
+            pixelSize={pixelSize}
+            billOfMaterials={billOfMaterials}
+            bomSpares={bomSpares}
+            setBomSpares={setBomSpares}
+            onExportBom={handleExportBom}
+            costEstimate={costEstimate}
+            powerBudget={powerBudget}
+            voltageDrop={voltageDrop}
+            showVoltage={showVoltage}
+            hasPowerFeeds={powerFeeds.length > 0}
+            ledSpecs={ledSpecs}
+            voltageSettings={voltageSettings}
+            wiringPlan={wiringPlan}
+            showWiring={showWiring}
+            setShowWiring={setShowWiring}
+            onExportWiring={handleExportWiring}
+            currency={priceList.currency}
+          />
+        </main>
+      )}
     </div>
   );
 }
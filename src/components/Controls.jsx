@@ -1,5 +1,15 @@
-import { useState, useEffect, useRef } from 'react';
-import { saveDesign, loadDesigns, deleteDesign } from '../hooks/useLocalStorage';
+import { useState, useEffect, useRef, useId } from 'react';
+import { saveDesign, loadDesigns, deleteDesign, importDesigns } from '../hooks/useLocalStorage';
+import { createDesignFile, parseDesignFile, DesignFileError, DESIGN_FILE_EXTENSION } from '../utils/designFile';
+import { toFileName, downloadFile } from '../utils/download';
+import { encodeShareLink } from '../utils/shareLink';
+import { PRICE_FIELDS } from '../utils/costEstimate';
+import { LED_SPEC_FIELDS } from '../utils/power';
+import { VOLTAGE_SETTING_FIELDS } from '../utils/voltageDrop';
+import { PIXEL_MAP_FORMATS } from '../utils/pixelMap';
+import { EFFECTS, PALETTES } from '../utils/effects';
+import { SHAPES, SHAPE_MODES } from '../utils/shapes';
+import { TEXT_SCALE, TEXT_SPACING } from '../hooks/useLettering';
 
 /**
  * Controls panel component
@@ -9,29 +19,74 @@ import { saveDesign, loadDesigns, deleteDesign } from '../hooks/useLocalStorage'
  */
 export function Controls({
   width,
-  setWidth,
   length,
-  setLength,
   spacing,
-  setSpacing,
   pointyTop,
-  setPointyTop,
   mirrorMode,
   setMirrorMode,
+  mirrorAxes,
+  setMirrorAxes,
+  unmirroredCount,
   maxSegments,
   setMaxSegments,
   maxJoints2,
   setMaxJoints2,
   maxJoints3,
   setMaxJoints3,
+  ledSpecs,
+  setLedSpecs,
+  tool,
+  setTool,
+  selectionShape,
+  setSelectionShape,
+  selectedCount,
+  selectionNotice,
+  hasClipboard,
+  onCutSelection,
+  onCopySelection,
+  onPasteClipboard,
+  onDeleteSelection,
+  onRotateSelection,
+  onFlipSelection,
+  onClearSelection,
+  generator,
+  setGenerator,
+  shapeEdgeCount,
+  shapeOutsideCount,
+  onApplyShape,
+  lettering,
+  setLettering,
+  textEdgeCount,
+  textUnsupported,
+  textOutside,
+  onApplyText,
+  voltageSettings,
+  setVoltageSettings,
+  effect,
+  setEffect,
+  showVoltage,
+  setShowVoltage,
+  hasPowerFeeds,
+  onClearPowerFeeds,
+  priceList,
+  setPriceList,
+  cableMetres,
+  setCableMetres,
   gridDimensions,
-  onClear,
+  onCreateGrid,
   getDesignState,
   loadDesignState,
   units,
   toDisplayUnits,
-  toInches
+  toInches,
+  canExport,
+  onExportSvg,
+  onExportDxf,
+  onExportPixelMap
 }) {
+  // Prefix for input ids, so labels name their inputs
+  const fieldId = useId();
+
   // Track previous values to detect changes
   const prevUnits = useRef(units);
   const prevWidth = useRef(width);
@@ -42,6 +97,14 @@ export function Controls({
   // Initialize directly from loadDesigns
   const [savedDesigns, setSavedDesigns] = useState(() => loadDesigns());
   const [saveName, setSaveName] = useState('');
+  // Name of the design last saved or loaded (used to label exports)
+  const [currentName, setCurrentName] = useState('');
+  const [exportDimensions, setExportDimensions] = useState(true);
+  const [pixelMapFormat, setPixelMapFormat] = useState('wled');
+  const [pixelMapOrder, setPixelMapOrder] = useState('edges');
+  // Result of the last import or copied link: { error: boolean, text }
+  const [fileMessage, setFileMessage] = useState(null);
+  const importInput = useRef(null);
 
   // Pending values for "Create New" (start with current values in display units)
   // Store as strings to allow empty input during editing
@@ -112,13 +175,21 @@ export function Controls({
     if (saveDesign(name, getDesignState())) {
       setSavedDesigns(loadDesigns());
       setSaveName('');
+      setCurrentName(name);
     }
   };
 
+  // Designs that fail migration (from a newer HexLight) stay in the list so
+  // they aren't lost, but loading one reports why it can't be opened
   const handleLoad = (name) => {
     const designs = loadDesigns();
-    if (designs[name]) {
+    if (!designs[name]) return;
+    try {
       loadDesignState(designs[name]);
+      setCurrentName(name);
+    } catch (error) {
+      if (!(error instanceof DesignFileError)) throw error;
+      setFileMessage({ error: true, text: error.message });
     }
   };
 
@@ -129,14 +200,87 @@ export function Controls({
     }
   };
 
+  const exportName = saveName.trim() || currentName || 'Untitled design';
+
+  const handleDownloadDesign = () => {
+    const content = createDesignFile({ [exportName]: getDesignState() }, 'design');
+    downloadFile(toFileName(exportName, DESIGN_FILE_EXTENSION), content, 'application/json');
+  };
+
+  const handleDownloadLibrary = () => {
+    const content = createDesignFile(loadDesigns(), 'library');
+    downloadFile(toFileName('hexlight-library', DESIGN_FILE_EXTENSION), content, 'application/json');
+  };
+
+  const handleCopyLink = () => {
+    encodeShareLink(getDesignState(), exportName)
+      .then(hash => {
+        const { origin, pathname, search } = window.location;
+        return navigator.clipboard.writeText(origin + pathname + search + hash);
+      })
+      .then(() => setFileMessage({ error: false, text: 'Share link copied to the clipboard.' }))
+      .catch(error => {
+        console.warn('Error copying share link:', error);
+        setFileMessage({ error: true, text: 'The share link could not be copied.' });
+      });
+  };
+
+  // Imported designs are added to the library; a single design is also opened
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const fallbackName = file.name.replace(/(\.hexlight)?\.json$/i, '');
+    file.text()
+      .then(text => parseDesignFile(text, fallbackName))
+      .then(({ kind, designs }) => {
+        const names = importDesigns(designs);
+        if (!names) throw new DesignFileError('The designs could not be saved to this browser.');
+        setSavedDesigns(loadDesigns());
+
+        if (kind === 'design') {
+          loadDesignState(designs[Object.keys(designs)[0]]);
+          setCurrentName(names[0]);
+          setFileMessage({ error: false, text: `Imported "${names[0]}".` });
+        } else {
+          setFileMessage({ error: false, text: `Imported ${names.length} design${names.length === 1 ? '' : 's'}.` });
+        }
+      })
+      .catch(error => {
+        if (!(error instanceof DesignFileError)) console.warn('Error importing design file:', error);
+        setFileMessage({
+          error: true,
+          text: error instanceof DesignFileError ? error.message : 'The file could not be read.'
+        });
+      });
+  };
+
   const mirrorOptions = [
     { value: 'none', label: 'None' },
     { value: 'horizontal', label: 'Horizontal' },
     { value: 'vertical', label: 'Vertical' },
     { value: 'both', label: 'Both (Quad)' },
-    { value: 'radial', label: 'Radial (180°)' }
+    { value: 'radial', label: 'Radial (180°)' },
+    { value: 'rotate3', label: 'Rotate 3× (120°)' },
+    { value: 'rotate6', label: 'Rotate 6× (60°)' },
+    { value: 'kaleidoscope', label: 'Kaleidoscope (6× + mirrors)' }
   ];
 
+  const toolOptions = [
+    { value: 'draw', label: 'Draw (edges & cells)' },
+    { value: 'select', label: 'Select, copy & move' },
+    { value: 'feed', label: 'Power feed points' },
+    { value: 'wiring', label: 'Wiring start point' },
+    { value: 'generate', label: 'Generate shapes' },
+    { value: 'text', label: 'Text & logos' }
+  ];
+
+  const shapeOption = SHAPES.find(opt => opt.value === generator.shape) ?? SHAPES[0];
+
+  // Characters quoted for the text tool's warnings
+  const listCharacters = (chars) => chars.map(char => `“${char}”`).join(', ');
+
   const unitLabel = units === 'cm' ? 'cm' : 'in';
 
   return (
@@ -146,8 +290,9 @@ export function Controls({
         <h3>Grid Size</h3>
         <div className="input-row">
           <div className="input-group">
-            <label>Width ({unitLabel})</label>
+            <label htmlFor={`${fieldId}-width`}>Width ({unitLabel})</label>
             <input
+              id={`${fieldId}-width`}
               type="number"
               min={minDim}
               max={maxDim}
@@ -157,8 +302,9 @@ export function Controls({
             />
           </div>
           <div className="input-group">
-            <label>Length ({unitLabel})</label>
+            <label htmlFor={`${fieldId}-length`}>Length ({unitLabel})</label>
             <input
+              id={`${fieldId}-length`}
               type="number"
               min={minDim}
               max={maxDim}
@@ -170,8 +316,9 @@ export function Controls({
         </div>
 
         <div className="input-group">
-          <label>Point Spacing ({unitLabel})</label>
+          <label htmlFor={`${fieldId}-point-spacing`}>Point Spacing ({unitLabel})</label>
           <input
+            id={`${fieldId}-point-spacing`}
             type="number"
             min={minSpacing}
             max={maxSpacing}
@@ -182,8 +329,9 @@ export function Controls({
         </div>
 
         <div className="input-group">
-          <label>Hex Orientation</label>
+          <label htmlFor={`${fieldId}-hex-orientation`}>Hex Orientation</label>
           <select
+            id={`${fieldId}-hex-orientation`}
             value={pendingOrientation}
             onChange={(e) => setPendingOrientation(e.target.value)}
           >
@@ -203,19 +351,12 @@ export function Controls({
             const newLength = Math.round(toInches(parseFloat(pendingLength)));
             const newSpacing = Math.round(toInches(parseFloat(pendingSpacing)));
 
-            if (newPointyTop !== pointyTop) {
-              setPointyTop(newPointyTop);
-            }
-            if (newWidth !== width) {
-              setWidth(newWidth);
-            }
-            if (newLength !== length) {
-              setLength(newLength);
-            }
-            if (newSpacing !== spacing) {
-              setSpacing(newSpacing);
-            }
-            onClear();
+            onCreateGrid({
+              width: newWidth,
+              length: newLength,
+              spacing: newSpacing,
+              pointyTop: newPointyTop
+            });
           }}
           style={{ width: '100%', marginTop: '0.75rem' }}
         >
@@ -229,6 +370,215 @@ export function Controls({
         </div>
       </div>
 
+      {/* Tool Section */}
+      <div className="panel-section">
+        <h3>Tool</h3>
+        <div className="radio-group">
+          {toolOptions.map(opt => (
+            <label key={opt.value} className="radio-option">
+              <input
+                type="radio"
+                name="tool"
+                value={opt.value}
+                checked={tool === opt.value}
+                onChange={() => setTool(opt.value)}
+              />
+              <span>{opt.label}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {/* Selection Section (select tool) */}
+      {tool === 'select' && (
+        <div className="panel-section">
+          <h3>Selection</h3>
+          <div className="radio-group horizontal">
+            {[{ value: 'rectangle', label: 'Rectangle' }, { value: 'lasso', label: 'Lasso' }].map(opt => (
+              <label key={opt.value} className="radio-option">
+                <input
+                  type="radio"
+                  name="selectionShape"
+                  value={opt.value}
+                  checked={selectionShape === opt.value}
+                  onChange={() => setSelectionShape(opt.value)}
+                />
+                <span>{opt.label}</span>
+              </label>
+            ))}
+          </div>
+          <div className="stat-note">
+            {selectedCount > 0
+              ? `${selectedCount} segment${selectedCount === 1 ? '' : 's'} selected. Drag to move; Shift adds to the selection.`
+              : 'Drag to select segments; Shift adds to the selection.'}
+          </div>
+          <div className="button-row">
+            <button disabled={selectedCount === 0} onClick={onCutSelection} title="Ctrl+X">Cut</button>
+            <button disabled={selectedCount === 0} onClick={onCopySelection} title="Ctrl+C">Copy</button>
+            <button disabled={!hasClipboard} onClick={onPasteClipboard} title="Ctrl+V">Paste</button>
+            <button disabled={selectedCount === 0} onClick={onDeleteSelection} title="Delete">Delete</button>
+          </div>
+          <div className="button-row" style={{ marginTop: '0.5rem' }}>
+            <button disabled={selectedCount === 0} onClick={() => onRotateSelection(-1)} title="Rotate 60° anticlockwise (Shift+R)" aria-label="Rotate 60° anticlockwise">⟲ 60°</button>
+            <button disabled={selectedCount === 0} onClick={() => onRotateSelection(1)} title="Rotate 60° clockwise (R)" aria-label="Rotate 60° clockwise">⟳ 60°</button>
+            <button disabled={selectedCount === 0} onClick={() => onFlipSelection(true)} title="Flip left-right (H)" aria-label="Flip left-right">Flip ↔</button>
+            <button disabled={selectedCount === 0} onClick={() => onFlipSelection(false)} title="Flip top-bottom (V)" aria-label="Flip top-bottom">Flip ↕</button>
+          </div>
+          <button
+            disabled={selectedCount === 0}
+            onClick={onClearSelection}
+            style={{ width: '100%', marginTop: '0.5rem' }}
+            title="Escape"
+          >
+            Clear Selection
+          </button>
+          {selectionNotice && (
+            <div className={`stat-note${selectionNotice.warning ? ' warning' : ''}`}>{selectionNotice.text}</div>
+          )}
+        </div>
+      )}
+
+      {/* Generate Section (generate tool) */}
+      {tool === 'generate' && (
+        <div className="panel-section">
+          <h3>Generate</h3>
+          <div className="input-row">
+            <div className="input-group">
+              <label htmlFor={`${fieldId}-shape`}>Shape</label>
+              <select
+                id={`${fieldId}-shape`}
+                value={shapeOption.value}
+                onChange={(e) => setGenerator(prev => ({ ...prev, shape: e.target.value }))}
+              >
+                {SHAPES.map(opt => (
+                  <option key={opt.value} value={opt.value}>{opt.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="input-group">
+              <label htmlFor={`${fieldId}-shape-size`}>{shapeOption.sizeLabel}</label>
+              <input
+                id={`${fieldId}-shape-size`}
+                type="number"
+                min={shapeOption.min}
+                max={shapeOption.max}
+                value={generator.size}
+                onChange={(e) => setGenerator(prev => ({ ...prev, size: parseInt(e.target.value) || 0 }))}
+              />
+            </div>
+          </div>
+          <div className="radio-group horizontal">
+            {SHAPE_MODES.map(opt => (
+              <label key={opt.value} className="radio-option">
+                <input
+                  type="radio"
+                  name="shapeMode"
+                  value={opt.value}
+                  checked={generator.mode === opt.value}
+                  onChange={() => setGenerator(prev => ({ ...prev, mode: opt.value }))}
+                />
+                <span>{opt.label}</span>
+              </label>
+            ))}
+          </div>
+          <div className="stat-note">
+            Click a hexagon to anchor the shape there. Mirror mode applies.
+          </div>
+          {shapeOutsideCount > 0 && (
+            <div className="stat-note warning">
+              {shapeOutsideCount} segment{shapeOutsideCount === 1 ? '' : 's'} of the shape{shapeOutsideCount === 1 ? ' falls' : ' fall'} outside
+              the grid and will be left out.
+            </div>
+          )}
+          <button
+            className="primary"
+            disabled={shapeEdgeCount === 0}
+            onClick={onApplyShape}
+            style={{ width: '100%', marginTop: '0.5rem' }}
+          >
+            Apply Shape ({shapeEdgeCount} segment{shapeEdgeCount === 1 ? '' : 's'})
+          </button>
+        </div>
+      )}
+
+      {/* Text Section (text tool) */}
+      {tool === 'text' && (
+        <div className="panel-section">
+          <h3>Text</h3>
+          <div className="input-group">
+            <label htmlFor={`${fieldId}-text`}>Text</label>
+            <input
+              id={`${fieldId}-text`}
+              type="text"
+              value={lettering.text}
+              onChange={(e) => setLettering(prev => ({ ...prev, text: e.target.value }))}
+              placeholder="Initials or a word"
+            />
+          </div>
+          <div className="input-row">
+            <div className="input-group">
+              <label htmlFor={`${fieldId}-text-scale`}>Scale</label>
+              <input
+                id={`${fieldId}-text-scale`}
+                type="number"
+                min={TEXT_SCALE.min}
+                max={TEXT_SCALE.max}
+                value={lettering.scale}
+                onChange={(e) => setLettering(prev => ({ ...prev, scale: parseInt(e.target.value) || 0 }))}
+              />
+            </div>
+            <div className="input-group">
+              <label htmlFor={`${fieldId}-text-spacing`}>Letter spacing</label>
+              <input
+                id={`${fieldId}-text-spacing`}
+                type="number"
+                min={TEXT_SPACING.min}
+                max={TEXT_SPACING.max}
+                value={lettering.letterSpacing}
+                onChange={(e) => setLettering(prev => ({ ...prev, letterSpacing: parseInt(e.target.value) || 0 }))}
+              />
+            </div>
+          </div>
+          <div className="radio-group horizontal">
+            {SHAPE_MODES.map(opt => (
+              <label key={opt.value} className="radio-option">
+                <input
+                  type="radio"
+                  name="textMode"
+                  value={opt.value}
+                  checked={lettering.mode === opt.value}
+                  onChange={() => setLettering(prev => ({ ...prev, mode: opt.value }))}
+                />
+                <span>{opt.label}</span>
+              </label>
+            ))}
+          </div>
+          <div className="stat-note">
+            Click a hexagon to center the text there. Scale and spacing are in
+            hexagons; letters, digits, -, _ and = are available. Mirror mode applies.
+          </div>
+          {textUnsupported.length > 0 && (
+            <div className="stat-note warning">
+              No glyph for {listCharacters(textUnsupported)}; left as a gap.
+            </div>
+          )}
+          {textOutside.length > 0 && (
+            <div className="stat-note warning">
+              {listCharacters(textOutside)} {textOutside.length === 1 ? "doesn't" : "don't"} fit inside
+              the {gridDimensions.cols} × {gridDimensions.rows} hex grid; segments outside it will be left out.
+            </div>
+          )}
+          <button
+            className="primary"
+            disabled={textEdgeCount === 0}
+            onClick={onApplyText}
+            style={{ width: '100%', marginTop: '0.5rem' }}
+          >
+            Apply Text ({textEdgeCount} segment{textEdgeCount === 1 ? '' : 's'})
+          </button>
+        </div>
+      )}
+
       {/* Mirror Mode Section */}
       <div className="panel-section">
         <h3>Mirror Mode</h3>
@@ -246,14 +596,35 @@ export function Controls({
             </label>
           ))}
         </div>
+        {mirrorMode !== 'none' && (
+          <>
+            <div className="stat-note">
+              Drag the handles on the guides to move the mirror axes or center.
+            </div>
+            {unmirroredCount > 0 && (
+              <div className="stat-note warning">
+                {unmirroredCount} segment{unmirroredCount === 1 ? ' has a mirror image' : 's have mirror images'} outside
+                the grid (shown dashed).
+              </div>
+            )}
+            <button
+              disabled={mirrorAxes === null}
+              onClick={() => setMirrorAxes(null)}
+              style={{ width: '100%', marginTop: '0.5rem' }}
+            >
+              Center Mirror Axes
+            </button>
+          </>
+        )}
       </div>
 
       {/* Limits Section */}
       <div className="panel-section">
         <h3>Limits (0 = unlimited)</h3>
         <div className="input-group">
-          <label>Max Segments</label>
+          <label htmlFor={`${fieldId}-max-segments`}>Max Segments</label>
           <input
+            id={`${fieldId}-max-segments`}
             type="number"
             min="0"
             max="1000"
@@ -262,8 +633,9 @@ export function Controls({
           />
         </div>
         <div className="input-group">
-          <label>Max 2-Joints</label>
+          <label htmlFor={`${fieldId}-max-2-joints`}>Max 2-Joints</label>
           <input
+            id={`${fieldId}-max-2-joints`}
             type="number"
             min="0"
             max="500"
@@ -272,8 +644,9 @@ export function Controls({
           />
         </div>
         <div className="input-group">
-          <label>Max 3-Joints</label>
+          <label htmlFor={`${fieldId}-max-3-joints`}>Max 3-Joints</label>
           <input
+            id={`${fieldId}-max-3-joints`}
             type="number"
             min="0"
             max="500"
@@ -283,6 +656,176 @@ export function Controls({
         </div>
       </div>
 
+      {/* LED Specs Section */}
+      <div className="panel-section">
+        <h3>LED Specs</h3>
+        <div className="input-row">
+          {LED_SPEC_FIELDS.map(field => (
+            <div key={field.key} className="input-group">
+              <label htmlFor={`${fieldId}-led-${field.key}`}>{field.label}</label>
+              <input
+                id={`${fieldId}-led-${field.key}`}
+                type="number"
+                min="0"
+                step={field.step}
+                value={ledSpecs[field.key] ?? 0}
+                onChange={(e) => setLedSpecs(prev => ({ ...prev, [field.key]: parseFloat(e.target.value) || 0 }))}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Voltage Drop Section */}
+      <div className="panel-section">
+        <h3>Voltage Drop</h3>
+        <div className="input-row">
+          {VOLTAGE_SETTING_FIELDS.map(field => (
+            <div key={field.key} className="input-group">
+              <label htmlFor={`${fieldId}-voltage-${field.key}`}>{field.label}</label>
+              <input
+                id={`${fieldId}-voltage-${field.key}`}
+                type="number"
+                min="0"
+                step={field.step}
+                value={voltageSettings[field.key] ?? 0}
+                onChange={(e) => setVoltageSettings(prev => ({ ...prev, [field.key]: parseFloat(e.target.value) || 0 }))}
+              />
+            </div>
+          ))}
+        </div>
+        <label className="checkbox-option">
+          <input
+            type="checkbox"
+            checked={showVoltage}
+            onChange={(e) => setShowVoltage(e.target.checked)}
+          />
+          <span>Show heat map</span>
+        </label>
+        <button
+          disabled={!hasPowerFeeds}
+          onClick={onClearPowerFeeds}
+          style={{ width: '100%' }}
+        >
+          Clear Feed Points
+        </button>
+      </div>
+
+      {/* Effect Preview Section */}
+      <div className="panel-section">
+        <h3>Effect Preview</h3>
+        <label className="checkbox-option">
+          <input
+            type="checkbox"
+            checked={effect.enabled}
+            onChange={(e) => setEffect(prev => ({ ...prev, enabled: e.target.checked }))}
+          />
+          <span>Animate in preview mode</span>
+        </label>
+        <div className="input-group">
+          <label htmlFor={`${fieldId}-effect`}>Effect</label>
+          <select
+            id={`${fieldId}-effect`}
+            value={effect.effect}
+            onChange={(e) => setEffect(prev => ({ ...prev, effect: e.target.value }))}
+          >
+            {EFFECTS.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="input-row">
+          <div className="input-group">
+            <label htmlFor={`${fieldId}-palette`}>Palette</label>
+            <select
+              id={`${fieldId}-palette`}
+              value={effect.palette}
+              onChange={(e) => setEffect(prev => ({ ...prev, palette: e.target.value }))}
+            >
+              {Object.keys(PALETTES).map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="input-group">
+            <label htmlFor={`${fieldId}-solid-colour`}>Solid colour</label>
+            <input
+              id={`${fieldId}-solid-colour`}
+              type="color"
+              value={effect.color}
+              onChange={(e) => setEffect(prev => ({ ...prev, color: e.target.value }))}
+            />
+          </div>
+        </div>
+        <div className="input-group">
+          <label htmlFor={`${fieldId}-speed`}>Speed ({effect.speed}×)</label>
+          <input
+            id={`${fieldId}-speed`}
+            type="range"
+            min="0.1"
+            max="5"
+            step="0.1"
+            value={effect.speed}
+            onChange={(e) => setEffect(prev => ({ ...prev, speed: parseFloat(e.target.value) }))}
+          />
+        </div>
+        <div className="input-group">
+          <label htmlFor={`${fieldId}-brightness`}>Brightness ({effect.brightness}%)</label>
+          <input
+            id={`${fieldId}-brightness`}
+            type="range"
+            min="0"
+            max="100"
+            step="1"
+            value={effect.brightness}
+            onChange={(e) => setEffect(prev => ({ ...prev, brightness: parseInt(e.target.value) }))}
+          />
+        </div>
+      </div>
+
+      {/* Price List Section */}
+      <div className="panel-section">
+        <h3>Price List</h3>
+        <div className="input-row">
+          <div className="input-group">
+            <label htmlFor={`${fieldId}-currency`}>Currency</label>
+            <input
+              id={`${fieldId}-currency`}
+              type="text"
+              maxLength="3"
+              value={priceList.currency}
+              onChange={(e) => setPriceList(prev => ({ ...prev, currency: e.target.value }))}
+            />
+          </div>
+          <div className="input-group">
+            <label htmlFor={`${fieldId}-cable-run`}>Cable run (m)</label>
+            <input
+              id={`${fieldId}-cable-run`}
+              type="number"
+              min="0"
+              step="0.1"
+              value={cableMetres}
+              onChange={(e) => setCableMetres(parseFloat(e.target.value) || 0)}
+            />
+          </div>
+        </div>
+        <div className="input-row">
+          {PRICE_FIELDS.map(field => (
+            <div key={field.key} className="input-group">
+              <label htmlFor={`${fieldId}-price-${field.key}`}>{field.label}</label>
+              <input
+                id={`${fieldId}-price-${field.key}`}
+                type="number"
+                min="0"
+                step="0.01"
+                value={priceList[field.key] ?? 0}
+                onChange={(e) => setPriceList(prev => ({ ...prev, [field.key]: parseFloat(e.target.value) || 0 }))}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
       {/* Save/Load Section */}
       <div className="panel-section">
         <h3>Save Design</h3>
@@ -290,12 +833,89 @@ export function Controls({
           <input
             type="text"
             placeholder="Design name"
+            aria-label="Design name"
             value={saveName}
             onChange={(e) => setSaveName(e.target.value)}
             style={{ flex: 1 }}
           />
           <button className="primary" onClick={handleSave}>Save</button>
         </div>
+        <div className="button-row" style={{ marginTop: '0.5rem' }}>
+          <button onClick={handleDownloadDesign} title={`Download as .${DESIGN_FILE_EXTENSION}`}>
+            Download File
+          </button>
+          <button onClick={() => importInput.current.click()} title="Import a design or library file">
+            Import File
+          </button>
+          <button onClick={handleCopyLink} title="Copy a link that opens this design read-only">
+            Copy Link
+          </button>
+        </div>
+        <input
+          ref={importInput}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          style={{ display: 'none' }}
+        />
+        {fileMessage && (
+          <div className={`stat-note${fileMessage.error ? ' warning' : ''}`}>
+            {fileMessage.text}
+          </div>
+        )}
+      </div>
+
+      {/* Export Section */}
+      <div className="panel-section">
+        <h3>Export</h3>
+        <label className="checkbox-option">
+          <input
+            type="checkbox"
+            checked={exportDimensions}
+            onChange={(e) => setExportDimensions(e.target.checked)}
+          />
+          <span>Dimension lines</span>
+        </label>
+        <div className="button-row">
+          <button
+            disabled={!canExport}
+            onClick={() => onExportSvg(exportName, { showDimensions: exportDimensions })}
+          >
+            Export SVG
+          </button>
+          <button
+            disabled={!canExport}
+            onClick={() => onExportDxf(exportName)}
+            title={`DXF in ${units === 'cm' ? 'millimetres' : 'inches'}, joints on a separate layer`}
+          >
+            Export DXF
+          </button>
+        </div>
+
+        <div className="input-row" style={{ marginTop: '0.75rem' }}>
+          <div className="input-group">
+            <label htmlFor={`${fieldId}-pixel-map`}>Pixel map</label>
+            <select id={`${fieldId}-pixel-map`} value={pixelMapFormat} onChange={(e) => setPixelMapFormat(e.target.value)}>
+              {PIXEL_MAP_FORMATS.map(format => (
+                <option key={format.value} value={format.value}>{format.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="input-group">
+            <label htmlFor={`${fieldId}-led-order`}>LED order</label>
+            <select id={`${fieldId}-led-order`} value={pixelMapOrder} onChange={(e) => setPixelMapOrder(e.target.value)}>
+              <option value="edges">Edge order</option>
+              <option value="wiring">Wiring plan</option>
+            </select>
+          </div>
+        </div>
+        <button
+          disabled={!canExport}
+          onClick={() => onExportPixelMap(exportName, pixelMapFormat, pixelMapOrder)}
+          style={{ width: '100%' }}
+        >
+          Export Pixel Map
+        </button>
       </div>
 
       {/* Saved Designs Section */}
@@ -304,21 +924,23 @@ export function Controls({
           <h3>Saved Designs</h3>
           <div className="saved-designs">
             {Object.entries(savedDesigns).map(([name]) => (
-              <div
-                key={name}
-                className="saved-design-item"
-                onClick={() => handleLoad(name)}
-              >
-                <span>{name}</span>
+              <div key={name} className="saved-design-item">
+                <button className="saved-design-load" onClick={() => handleLoad(name)}>
+                  {name}
+                </button>
                 <button
                   className="delete-btn danger"
                   onClick={(e) => handleDelete(name, e)}
+                  aria-label={`Delete ${name}`}
                 >
                   ×
                 </button>
               </div>
             ))}
           </div>
+          <button onClick={handleDownloadLibrary} style={{ width: '100%', marginTop: '0.5rem' }}>
+            Download Library
+          </button>
         </div>
       )}
     </div>
@@ -0,0 +1,45 @@
+import { useMemo, useRef, useEffect } from 'react';
+import { prepareLeds, getEffectColor } from '../utils/effects';
+
+/**
+ * Animated LED effect preview - renders inside the HexGrid SVG
+ *
+ * LED circles are rendered once; each animation frame updates their fill
+ * directly so the preview doesn't re-render React 60 times a second.
+ */
+export function EffectPreview({ leds, center, radius, settings }) {
+  const circleRefs = useRef([]);
+
+  const prepared = useMemo(() => prepareLeds(leds, center), [leds, center]);
+
+  useEffect(() => {
+    let frame;
+    const started = performance.now();
+
+    const draw = (now) => {
+      const time = (now - started) / 1000;
+      prepared.forEach((led, index) => {
+        circleRefs.current[index]?.setAttribute('fill', getEffectColor(led, time, settings));
+      });
+      frame = requestAnimationFrame(draw);
+    };
+
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [prepared, settings]);
+
+  return (
+    <g className="effect-preview">
+      {leds.map((led, index) => (
+        <circle
+          key={index}
+          ref={(el) => { circleRefs.current[index] = el; }}
+          cx={led.x}
+          cy={led.y}
+          r={radius}
+          className="effect-led"
+        />
+      ))}
+    </g>
+  );
+}
@@ -1,30 +1,586 @@
-import { useMemo } from 'react';
-import { calculateMirrorAxes } from '../utils/hexMath';
+import { useMemo, useState, useEffect, useCallback, useRef, useId } from 'react';
+import {
+  calculateMirrorAxes,
+  getRotationCenter,
+  getNearestCellCenter,
+  snapMirrorPlacement,
+  ROTATION_FOLDS
+} from '../utils/hexMath';
+import { EffectPreview } from './EffectPreview';
+import { HexGridCanvas } from './HexGridCanvas';
+import { selectEdgesInPolygon } from '../utils/selection';
+import { createEdgeSpatialIndex, findEdgeAt } from '../utils/spatialIndex';
+
+// Islands cycle through this many colours (.island-0 ... in index.css)
+const ISLAND_COLOR_COUNT = 6;
+
+// Grids with more edges than this draw their edges, vertices and guides on a
+// canvas instead of as SVG elements
+const CANVAS_EDGE_THRESHOLD = 5000;
+
+// Half the width of an edge's hitbox in screen pixels (see .hex-edge-hitbox)
+const HIT_DISTANCE = 6;
+
+// Spatial index bucket size (grid pixels), about two edge lengths
+const SPATIAL_BUCKET_SIZE = 60;
+
+// Screen direction of each arrow key for the keyboard cursor
+const ARROW_DIRECTIONS = {
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 }
+};
+
+// Spoken joint state by number of segments meeting at a vertex (see the Legend)
+function describeJoint(count) {
+  if (count === 0) return 'no segments';
+  if (count === 1) return '1 segment, missing joint';
+  return `${count} segments, ${count}-joint`;
+}
+
+// Vertex at the other end of an edge
+function otherEnd(edge, vertexKey) {
+  return edge.v1 === vertexKey ? edge.v2 : edge.v1;
+}
+
+// Heat-map colour for a joint voltage: green at full supply voltage, fading
+// to red at 75% of supply or below
+function voltageColor(volts, supplyVoltage) {
+  if (volts === null) return 'var(--text-muted)';
+  const fraction = Math.min(1, Math.max(0, (volts / supplyVoltage - 0.75) / 0.25));
+  return `hsl(${Math.round(fraction * 120)}, 85%, 50%)`;
+}
+
+// Outline of a selection gesture: the rectangle spanned by the first and
+// last points, or the lasso path itself. Empty for a click.
+function selectionPolygon(points, shape) {
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (shape !== 'rectangle') return points.length < 3 ? [] : points;
+  if (Math.abs(last.x - first.x) < 4 && Math.abs(last.y - first.y) < 4) return [];
+  return [first, { x: last.x, y: first.y }, last, { x: first.x, y: last.y }];
+}
 
 /**
  * HexGrid component - renders the SVG hex grid
+ *
+ * Large grids (see CANVAS_EDGE_THRESHOLD) draw the base layer with
+ * HexGridCanvas and hit-test the pointer against a spatial index; overlays,
+ * tools and handles are SVG in either case.
  */
 export function HexGrid({
   vertices,
   allEdges,
+  edgeIndex,
+  cells,
   enabledEdges,
   viewBox,
-  onEdgeClick,
+  view = null,
+  onZoom,
+  onPan,
+  onEdgePaint,
+  onCellClick,
+  getMirrors,
   jointCounts,
   mirrorMode,
+  mirrorAxes = null,
+  onMirrorAxesChange,
+  unmirroredEdges = null,
   pointyTop,
-  showGuides = true
+  showGuides = true,
+  tool = 'draw',
+  onVertexClick,
+  powerFeeds = [],
+  voltageDrop = null,
+  supplyVoltage,
+  wiringPlan = null,
+  islandOf = null,
+  suggestedEdges = [],
+  effect = null,
+  effectLeds = [],
+  ledRadius = 2,
+  selectedEdges = [],
+  selectionShape = 'rectangle',
+  onSelect,
+  onMoveSelection,
+  snapSelectionOffset,
+  onPointerTrack,
+  shapePreview = [],
+  shapeAnchor = null,
+  onAnchorPick
 }) {
+  const isDrawing = showGuides && tool === 'draw';
+  const isSelecting = showGuides && tool === 'select';
+  // Generate and text tools place a preview around an anchor hexagon
+  const isPlacing = showGuides && (tool === 'generate' || tool === 'text');
+  const useCanvas = allEdges.length > CANVAS_EDGE_THRESHOLD;
+  const svgRef = useRef(null);
+  const instructionsId = useId();
+
+  // Mirror guide handle being dragged: { handle, placement, moved }, where
+  // handle is 'x', 'y' or 'center' (see snapMirrorPlacement). The guides follow
+  // the dragged placement, which is only applied on release because changing
+  // the axes rebuilds the mirror map.
+  const [axisDrag, setAxisDrag] = useState(null);
+  const placement = axisDrag ? axisDrag.placement : mirrorAxes;
+
   // Calculate grid bounds and snapped mirror axis positions (orientation-aware)
   const gridBounds = useMemo(() => {
-    return calculateMirrorAxes(vertices, pointyTop);
-  }, [vertices, pointyTop]);
+    return calculateMirrorAxes(vertices, pointyTop, placement);
+  }, [vertices, pointyTop, placement]);
 
-  // Create vertex elements
-  const vertexElements = useMemo(() => {
-    const elements = [];
+  // Effects animate in preview mode only
+  const isAnimating = !showGuides && effect !== null;
+
+  // Ripple effects spread from the mirror center
+  const effectCenter = useMemo(() => ({
+    x: gridBounds.centerX,
+    y: gridBounds.centerY
+  }), [gridBounds]);
+
+  // Active click-and-drag paint stroke: every edge swept over is set to the
+  // state chosen by the first edge. Committed once on pointer release.
+  // { enable, edges: Set of swept keys, painted: Set of swept keys plus mirrors }
+  const [stroke, setStroke] = useState(null);
+
+  const startStroke = useCallback((e, edgeKey) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    // Touch pointers are implicitly captured by the pressed element, which
+    // would stop other edges from receiving pointerenter during the drag
+    e.target.releasePointerCapture?.(e.pointerId);
+    setStroke({
+      enable: !enabledEdges.has(edgeKey),
+      edges: new Set([edgeKey]),
+      painted: new Set(getMirrors(edgeKey))
+    });
+  }, [enabledEdges, getMirrors]);
+
+  const extendStroke = useCallback((edgeKey) => {
+    setStroke(prev => {
+      if (!prev || prev.edges.has(edgeKey)) return prev;
+      const edges = new Set(prev.edges).add(edgeKey);
+      const painted = new Set(prev.painted);
+      for (const key of getMirrors(edgeKey)) painted.add(key);
+      return { ...prev, edges, painted };
+    });
+  }, [getMirrors]);
+
+  // Select tool gesture, one of
+  // { type: 'marquee', points, additive, edge } while outlining a selection
+  // { type: 'move', start, dx, dy } while dragging the selection (snapped offset)
+  const [gesture, setGesture] = useState(null);
+
+  const selectedSet = useMemo(() => new Set(selectedEdges), [selectedEdges]);
+
+  // Pointer position in SVG coordinates
+  const toSvgPoint = (e) => {
+    const point = new DOMPoint(e.clientX, e.clientY).matrixTransform(svgRef.current.getScreenCTM().inverse());
+    return { x: point.x, y: point.y };
+  };
+
+  // Canvas rendering: edges and cells are found from the pointer position
+  // rather than from the element under it
+  const edgeSpatialIndex = useMemo(() => {
+    return useCanvas ? createEdgeSpatialIndex(allEdges, vertices, SPATIAL_BUCKET_SIZE) : null;
+  }, [useCanvas, allEdges, vertices]);
+
+  const cellsByCenter = useMemo(() => {
+    if (!useCanvas) return null;
+    return new Map(cells.map(cell => [`${Math.round(cell.x)},${Math.round(cell.y)}`, cell]));
+  }, [useCanvas, cells]);
+
+  // { edge } or { cell } under the pointer in canvas mode, or null. Cells only
+  // count while drawing, like the SVG cell polygons.
+  const hitTest = (e) => {
+    const point = toSvgPoint(e);
+    const edge = findEdgeAt(edgeSpatialIndex, allEdges, vertices, point, HIT_DISTANCE / svgRef.current.getScreenCTM().a);
+    if (edge) return { edge };
+    if (!isDrawing) return null;
+    const center = getNearestCellCenter(point.x, point.y, gridBounds.size, pointyTop);
+    const cell = cellsByCenter.get(`${Math.round(center.x)},${Math.round(center.y)}`);
+    return cell ? { cell } : null;
+  };
+
+  const edgeAt = (e) => useCanvas ? hitTest(e)?.edge ?? null : e.target.dataset.edge ?? null;
+
+  const selectHandlers = isSelecting ? {
+    onPointerDown: (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      svgRef.current.setPointerCapture(e.pointerId);
+      const point = toSvgPoint(e);
+      const edge = edgeAt(e);
+      setGesture(edge && selectedSet.has(edge)
+        ? { type: 'move', start: point, dx: 0, dy: 0 }
+        : { type: 'marquee', points: [point], additive: e.shiftKey, edge });
+    },
+    onPointerMove: (e) => {
+      const point = toSvgPoint(e);
+      onPointerTrack?.(point);
+      if (!gesture) return;
+
+      if (gesture.type === 'move') {
+        const { dx, dy } = snapSelectionOffset(point.x - gesture.start.x, point.y - gesture.start.y);
+        if (dx !== gesture.dx || dy !== gesture.dy) setGesture({ ...gesture, dx, dy });
+      } else if (selectionShape === 'rectangle') {
+        setGesture({ ...gesture, points: [gesture.points[0], point] });
+      } else {
+        const last = gesture.points[gesture.points.length - 1];
+        if (Math.hypot(point.x - last.x, point.y - last.y) > 4) {
+          setGesture({ ...gesture, points: [...gesture.points, point] });
+        }
+      }
+    },
+    onPointerUp: () => {
+      if (!gesture) return;
+      setGesture(null);
+
+      if (gesture.type === 'move') {
+        onMoveSelection(gesture.dx, gesture.dy);
+        return;
+      }
+
+      const polygon = selectionPolygon(gesture.points, selectionShape);
+      if (polygon.length < 3) {
+        // A click selects the enabled edge under the pointer, or clears
+        onSelect(gesture.edge && enabledEdges.has(gesture.edge) ? [gesture.edge] : [], gesture.additive);
+      } else {
+        onSelect(selectEdgesInPolygon(polygon, enabledEdges, allEdges, vertices), gesture.additive);
+      }
+    },
+    onPointerCancel: () => setGesture(null)
+  } : {};
+
+  // Canvas mode: what the pointer is over (see hitTest), standing in for
+  // :hover, and the cell pressed while drawing
+  const [hover, setHover] = useState(null);
+  const pressedCell = useRef(null);
+
+  const pointerHandlers = useCanvas ? {
+    ...selectHandlers,
+    onPointerDown: (e) => {
+      if (isSelecting) {
+        selectHandlers.onPointerDown(e);
+        return;
+      }
+      if (!isDrawing || e.button !== 0) return;
+      const target = hitTest(e);
+      pressedCell.current = target?.cell ?? null;
+      if (target?.edge) startStroke(e, target.edge);
+    },
+    onPointerMove: (e) => {
+      const target = hitTest(e);
+      if (stroke && target?.edge) extendStroke(target.edge);
+      if (target?.edge !== hover?.edge || target?.cell !== hover?.cell) setHover(target);
+      if (isSelecting) selectHandlers.onPointerMove(e);
+    },
+    onPointerUp: (e) => {
+      if (isSelecting) {
+        selectHandlers.onPointerUp(e);
+        return;
+      }
+      const cell = pressedCell.current;
+      pressedCell.current = null;
+      if (cell && hitTest(e)?.cell === cell) onCellClick(cell.key);
+    },
+    onPointerLeave: () => setHover(null)
+  } : selectHandlers;
+
+  // Generate and text tools: a click (not a drag) moves the anchor
+  const placeFrom = useRef(null);
+
+  const placeHandlers = isPlacing ? {
+    onPointerDown: (e) => {
+      placeFrom.current = { x: e.clientX, y: e.clientY };
+    },
+    onClick: (e) => {
+      const from = placeFrom.current;
+      placeFrom.current = null;
+      if (!from || Math.hypot(e.clientX - from.x, e.clientY - from.y) > 4) return;
+      onAnchorPick(toSvgPoint(e));
+    }
+  } : {};
+
+  // Whether the grid has been used from the keyboard since it was focused;
+  // the live region stays quiet for pointer edits
+  const [keyboardActive, setKeyboardActive] = useState(false);
+
+  // Panning: middle-button drag, Space + drag, or any drag in preview mode.
+  // Runs in the capture phase so tools underneath never see the gesture.
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  const [panning, setPanning] = useState(false);
+  const panFrom = useRef(null);
+
+  const panHandlers = onPan ? {
+    onPointerDownCapture: (e) => {
+      if (e.button !== 1 && !(e.button === 0 && (spaceHeld || !showGuides))) return;
+      e.stopPropagation();
+      e.preventDefault();
+      svgRef.current.setPointerCapture(e.pointerId);
+      panFrom.current = { x: e.clientX, y: e.clientY };
+      setPanning(true);
+    },
+    onPointerMoveCapture: (e) => {
+      if (!panning) return;
+      e.stopPropagation();
+      // Screen pixels to grid pixels at the current zoom
+      const scale = svgRef.current.getScreenCTM().a;
+      onPan((panFrom.current.x - e.clientX) / scale, (panFrom.current.y - e.clientY) / scale);
+      panFrom.current = { x: e.clientX, y: e.clientY };
+    },
+    onPointerUpCapture: (e) => {
+      if (!panning) return;
+      e.stopPropagation();
+      setPanning(false);
+    },
+    onPointerCancelCapture: () => setPanning(false)
+  } : {};
+
+  // Space held for panning (ignored while typing in a field)
+  useEffect(() => {
+    if (!onPan) return;
+
+    const handleKey = (e) => {
+      if (e.code !== 'Space' || e.target.closest?.('input, textarea, select, button')) return;
+      // On the focused grid in keyboard use, Space toggles the cursor edge
+      // (see handleKeyDown) instead
+      if (e.type === 'keydown' && e.target === svgRef.current &&
+        (keyboardActive || e.target.matches(':focus-visible'))) return;
+      e.preventDefault();
+      setSpaceHeld(e.type === 'keydown');
+    };
+    const release = () => setSpaceHeld(false);
+
+    window.addEventListener('keydown', handleKey);
+    window.addEventListener('keyup', handleKey);
+    window.addEventListener('blur', release);
+    return () => {
+      window.removeEventListener('keydown', handleKey);
+      window.removeEventListener('keyup', handleKey);
+      window.removeEventListener('blur', release);
+    };
+  }, [onPan, keyboardActive]);
+
+  // Mouse-wheel zoom around the cursor. React's wheel listener is passive, so
+  // a native one is needed to stop the page scrolling.
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!onZoom || !svg) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const pixels = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+      const point = new DOMPoint(e.clientX, e.clientY).matrixTransform(svg.getScreenCTM().inverse());
+      onZoom(Math.exp(-pixels * 0.002), { x: point.x, y: point.y });
+    };
+
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, [onZoom]);
+
+  const axisHandlers = (handle) => ({
+    onPointerDown: (e) => {
+      if (e.button !== 0) return;
+      // Keep the select tool from starting a selection under the handle
+      e.stopPropagation();
+      e.preventDefault();
+      e.currentTarget.setPointerCapture(e.pointerId);
+      setAxisDrag({ handle, placement: mirrorAxes ?? {}, moved: false });
+    },
+    onPointerMove: (e) => {
+      if (axisDrag?.handle !== handle) return;
+      const snapped = snapMirrorPlacement(vertices, gridBounds, handle, toSvgPoint(e), mirrorMode, pointyTop);
+      if (Object.entries(snapped).some(([field, value]) => axisDrag.placement[field] !== value)) {
+        setAxisDrag({ handle, placement: { ...axisDrag.placement, ...snapped }, moved: true });
+      }
+    },
+    onPointerUp: () => {
+      if (axisDrag?.handle !== handle) return;
+      setAxisDrag(null);
+      if (axisDrag.moved) onMirrorAxesChange(axisDrag.placement);
+    },
+    onPointerCancel: () => setAxisDrag(null)
+  });
+
+  // Keyboard cursor: a vertex and one of its edges, { vertex, edge }. Null
+  // until first moved, when it starts at the vertex nearest the grid center.
+  const [cursor, setCursor] = useState(null);
+
+  // Edges at each vertex, clockwise from straight up
+  const incidentEdges = useMemo(() => {
+    const incident = new Map();
+    for (const edge of allEdges) {
+      for (const key of [edge.v1, edge.v2]) {
+        if (!incident.has(key)) incident.set(key, []);
+        incident.get(key).push(edge);
+      }
+    }
+
+    for (const [key, edges] of incident) {
+      const from = vertices.get(key);
+      const angle = (edge) => {
+        const to = vertices.get(otherEnd(edge, key));
+        return (Math.atan2(to.x - from.x, from.y - to.y) + Math.PI * 2) % (Math.PI * 2);
+      };
+      edges.sort((a, b) => angle(a) - angle(b));
+    }
+    return incident;
+  }, [allEdges, vertices]);
+
+  const keyboardCursor = useMemo(() => {
+    if (cursor && incidentEdges.has(cursor.vertex)) {
+      const edges = incidentEdges.get(cursor.vertex);
+      const edge = edges.some(candidate => candidate.key === cursor.edge) ? cursor.edge : edges[0].key;
+      return { vertex: cursor.vertex, edge };
+    }
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const key of incidentEdges.keys()) {
+      const vertex = vertices.get(key);
+      const distance = Math.hypot(vertex.x - gridBounds.centerX, vertex.y - gridBounds.centerY);
+      if (distance < nearestDistance) {
+        nearest = key;
+        nearestDistance = distance;
+      }
+    }
+    return nearest ? { vertex: nearest, edge: incidentEdges.get(nearest)[0].key } : null;
+  }, [cursor, incidentEdges, vertices, gridBounds]);
+
+  // Pan just far enough to keep a point (grid pixels) in view
+  const revealPoint = (point) => {
+    if (!onPan || !view) return;
+    const margin = 20;
+    const dx = Math.min(0, point.x - margin - view.minX) + Math.max(0, point.x + margin - (view.minX + view.width));
+    const dy = Math.min(0, point.y - margin - view.minY) + Math.max(0, point.y + margin - (view.minY + view.height));
+    if (dx !== 0 || dy !== 0) onPan(dx, dy);
+  };
+
+  // Arrow keys move to the neighbouring vertex most in that direction, E
+  // (Shift+E backwards) cycles the vertex's edges, Space acts on the edge or
+  // vertex like a click with the current tool
+  const handleKeyDown = (e) => {
+    if (!keyboardCursor || e.ctrlKey || e.metaKey || e.altKey) return;
+    const { vertex, edge } = keyboardCursor;
+    const edges = incidentEdges.get(vertex);
+
+    if (ARROW_DIRECTIONS[e.key]) {
+      const direction = ARROW_DIRECTIONS[e.key];
+      const from = vertices.get(vertex);
+      let next = null;
+      let bestScore = 0;
+      for (const candidate of edges) {
+        const to = vertices.get(otherEnd(candidate, vertex));
+        const score = ((to.x - from.x) * direction.x + (to.y - from.y) * direction.y) / Math.hypot(to.x - from.x, to.y - from.y);
+        if (score > bestScore) {
+          next = candidate;
+          bestScore = score;
+        }
+      }
+      if (next) {
+        const target = otherEnd(next, vertex);
+        setCursor({ vertex: target, edge: next.key });
+        revealPoint(vertices.get(target));
+      }
+    } else if (e.key.toLowerCase() === 'e') {
+      const index = edges.findIndex(candidate => candidate.key === edge);
+      const step = e.shiftKey ? edges.length - 1 : 1;
+      setCursor({ vertex, edge: edges[(index + step) % edges.length].key });
+    } else if (e.key === ' ') {
+      // After a click, Space is for panning rather than the hidden cursor
+      if (!keyboardActive && !e.currentTarget.matches(':focus-visible')) return;
+      if (!e.repeat) {
+        if (isDrawing) {
+          onEdgePaint([edge], !enabledEdges.has(edge));
+        } else if (isSelecting && enabledEdges.has(edge)) {
+          onSelect([edge], true);
+        } else if ((tool === 'feed' || tool === 'wiring') && jointCounts.has(vertex)) {
+          onVertexClick(vertex);
+        } else if (isPlacing) {
+          onAnchorPick(vertices.get(vertex));
+        }
+      }
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+    setKeyboardActive(true);
+  };
+
+  // Live region text for the cursor: the vertex and its joint state, the
+  // edge and its state, and the design's segment count
+  let announcement = '';
+  if (keyboardActive && keyboardCursor) {
+    const { vertex, edge } = keyboardCursor;
+    const edges = incidentEdges.get(vertex);
+    const current = edges.find(candidate => candidate.key === edge);
+    const states = [enabledEdges.has(edge) ? 'on' : 'off'];
+    if (selectedSet.has(edge)) states.push('selected');
+    if (unmirroredEdges?.has(edge)) states.push('mirror image outside the grid');
+    announcement = `Point ${vertex}: ${describeJoint(jointCounts?.get(vertex) || 0)}. ` +
+      `Segment ${edges.indexOf(current) + 1} of ${edges.length}, to point ${otherEnd(current, vertex)}, ${states.join(', ')}. ` +
+      `${enabledEdges.size} segment${enabledEdges.size === 1 ? '' : 's'} in the design.`;
+  }
+
+  // Commit the stroke wherever the pointer is released
+  useEffect(() => {
+    if (!stroke) return;
+
+    const finishStroke = () => {
+      onEdgePaint(Array.from(stroke.edges), stroke.enable);
+      setStroke(null);
+    };
+    const cancelStroke = () => setStroke(null);
+
+    window.addEventListener('pointerup', finishStroke);
+    window.addEventListener('pointercancel', cancelStroke);
+    return () => {
+      window.removeEventListener('pointerup', finishStroke);
+      window.removeEventListener('pointercancel', cancelStroke);
+    };
+  }, [stroke, onEdgePaint]);
 
-    for (const [key, vertex] of vertices) {
+  // Create cell (hexagon face) elements - click inside a hexagon to toggle
+  // all six of its edges. Only interactive when guides are shown.
+  const cellElements = useMemo(() => {
+    if (!isDrawing || useCanvas) return null;
+
+    return cells.map(cell => {
+      const points = cell.vertices
+        .map(key => vertices.get(key))
+        .map(v => `${v.x},${v.y}`)
+        .join(' ');
+      const isComplete = cell.edges.every(key => enabledEdges.has(key));
+
+      return (
+        <polygon
+          key={`c-${cell.key}`}
+          points={points}
+          className={`hex-cell${isComplete ? ' complete' : ''}`}
+          onClick={() => onCellClick(cell.key)}
+        />
+      );
+    });
+  }, [cells, vertices, enabledEdges, isDrawing, useCanvas, onCellClick]);
+
+  // Cell under the pointer on the canvas, drawn as the SVG cell's :hover
+  const hoverCell = useMemo(() => {
+    if (!hover?.cell) return null;
+    const isComplete = hover.cell.edges.every(key => enabledEdges.has(key));
+    return {
+      points: hover.cell.vertices.map(key => vertices.get(key)),
+      className: `hex-cell${isComplete ? ' complete' : ''}`
+    };
+  }, [hover, enabledEdges, vertices]);
+
+  // Class of every vertex to draw
+  const vertexClasses = useMemo(() => {
+    const classes = new Map();
+
+    for (const key of vertices.keys()) {
       const jointCount = jointCounts?.get(key) || 0;
 
       // In preview mode, only show vertices that are part of the design
@@ -35,8 +591,19 @@ export function HexGrid({
       else if (jointCount === 2) className += ' active-2';
       else if (jointCount >= 3) className += ' active-3';
       if (!showGuides) className += ' preview-mode';
+      classes.set(key, className);
+    }
 
-      elements.push(
+    return classes;
+  }, [vertices, jointCounts, showGuides]);
+
+  // Create vertex elements
+  const vertexElements = useMemo(() => {
+    if (useCanvas) return null;
+
+    return Array.from(vertexClasses, ([key, className]) => {
+      const vertex = vertices.get(key);
+      return (
         <circle
           key={`v-${key}`}
           cx={vertex.x}
@@ -45,30 +612,54 @@ export function HexGrid({
           className={className}
         />
       );
+    });
+  }, [useCanvas, vertexClasses, vertices]);
+
+  // Class of every edge to draw
+  const edgeClasses = useMemo(() => {
+    const classes = new Map();
+
+    for (const edge of allEdges) {
+      // Edges under an active stroke show the state they are about to get
+      const isEnabled = stroke?.painted.has(edge.key)
+        ? stroke.enable
+        : enabledEdges.has(edge.key);
+
+      // In preview mode, skip disabled edges entirely
+      if (!showGuides && !isEnabled) continue;
+
+      let className = `hex-edge${isEnabled ? ' enabled' : ''}`;
+      if (isEnabled && islandOf?.has(edge.key)) {
+        className += ` island-${islandOf.get(edge.key) % ISLAND_COLOR_COUNT}`;
+      }
+      if (isSelecting && selectedSet.has(edge.key)) className += ' selected';
+      if (isEnabled && showGuides && unmirroredEdges?.has(edge.key)) className += ' unmirrored';
+      classes.set(edge.key, className);
     }
 
-    return elements;
-  }, [vertices, jointCounts, showGuides]);
+    return classes;
+  }, [allEdges, enabledEdges, stroke, showGuides, isSelecting, selectedSet, islandOf, unmirroredEdges]);
 
   // Create edge elements
   const edgeElements = useMemo(() => {
+    if (useCanvas) return null;
+
     const elements = [];
 
     for (const edge of allEdges) {
+      const className = edgeClasses.get(edge.key);
       const v1 = vertices.get(edge.v1);
       const v2 = vertices.get(edge.v2);
 
-      if (!v1 || !v2) continue;
-
-      const isEnabled = enabledEdges.has(edge.key);
-
-      // In preview mode, skip disabled edges entirely
-      if (!showGuides && !isEnabled) continue;
+      if (!className || !v1 || !v2) continue;
 
-      const className = `hex-edge${isEnabled ? ' enabled' : ''}`;
+      const paintHandlers = isDrawing ? {
+        onPointerDown: (e) => startStroke(e, edge.key),
+        onPointerEnter: () => extendStroke(edge.key)
+      } : {};
 
-      // Hitbox for easier clicking (only when guides are shown)
-      if (showGuides) {
+      // Hitbox for easier clicking (only while drawing or selecting)
+      if (isDrawing || isSelecting) {
         elements.push(
           <line
             key={`h-${edge.key}`}
@@ -77,7 +668,8 @@ export function HexGrid({
             x2={v2.x}
             y2={v2.y}
             className="hex-edge-hitbox"
-            onClick={() => onEdgeClick(edge.key)}
+            data-edge={edge.key}
+            {...paintHandlers}
           />
         );
       }
@@ -91,89 +683,369 @@ export function HexGrid({
           x2={v2.x}
           y2={v2.y}
           className={className}
-          onClick={showGuides ? () => onEdgeClick(edge.key) : undefined}
+          data-edge={edge.key}
+          {...paintHandlers}
         />
       );
     }
 
     return elements;
-  }, [allEdges, vertices, enabledEdges, onEdgeClick, showGuides]);
+  }, [useCanvas, allEdges, vertices, edgeClasses, isDrawing, isSelecting, startStroke, extendStroke]);
 
-  // Create mirror axis guide lines (hidden in preview mode)
-  const mirrorGuides = useMemo(() => {
-    if (!showGuides || mirrorMode === 'none') return null;
+  // Selection outline and the dragged copy of the selection
+  const selectionOverlay = useMemo(() => {
+    if (!gesture) return null;
 
-    const { minX, maxX, minY, maxY, centerX, centerY } = gridBounds;
-    const padding = 10;
-    const elements = [];
+    if (gesture.type === 'marquee') {
+      const points = selectionPolygon(gesture.points, selectionShape);
+      if (points.length === 0) return null;
+      return <polygon points={points.map(p => `${p.x},${p.y}`).join(' ')} className="selection-marquee" />;
+    }
 
-    // Vertical line (for horizontal mirroring)
-    if (mirrorMode === 'horizontal' || mirrorMode === 'both') {
-      elements.push(
+    return selectedEdges.map(key => {
+      const [v1, v2] = key.split('|').map(vertexKey => vertices.get(vertexKey));
+      if (!v1 || !v2) return null;
+      return (
         <line
-          key="mirror-h"
-          x1={centerX}
-          y1={minY - padding}
-          x2={centerX}
-          y2={maxY + padding}
-          className="mirror-guide"
+          key={`sg-${key}`}
+          x1={v1.x + gesture.dx}
+          y1={v1.y + gesture.dy}
+          x2={v2.x + gesture.dx}
+          y2={v2.y + gesture.dy}
+          className="selection-ghost"
         />
       );
-    }
+    });
+  }, [gesture, selectionShape, selectedEdges, vertices]);
 
-    // Horizontal line (for vertical mirroring)
-    if (mirrorMode === 'vertical' || mirrorMode === 'both') {
+  // Generate and text tools: where the edges would go, mirror images included
+  const shapeOverlay = useMemo(() => {
+    if (!isPlacing) return null;
+
+    const elements = shapePreview.map(key => {
+      const [v1, v2] = key.split('|').map(vertexKey => vertices.get(vertexKey));
+      if (!v1 || !v2) return null;
+      return (
+        <line
+          key={`sp-${key}`}
+          x1={v1.x}
+          y1={v1.y}
+          x2={v2.x}
+          y2={v2.y}
+          className="shape-preview"
+        />
+      );
+    });
+    if (shapeAnchor) {
       elements.push(
+        <circle key="shape-anchor" cx={shapeAnchor.x} cy={shapeAnchor.y} r={6} className="shape-anchor" />
+      );
+    }
+    return elements;
+  }, [isPlacing, shapePreview, shapeAnchor, vertices]);
+
+  // Suggested segments that would join the islands (dashed)
+  const connectionElements = useMemo(() => {
+    if (suggestedEdges.length === 0) return null;
+
+    return suggestedEdges.map(key => {
+      const edge = edgeIndex.get(key);
+      const v1 = vertices.get(edge.v1);
+      const v2 = vertices.get(edge.v2);
+      return (
         <line
-          key="mirror-v"
-          x1={minX - padding}
-          y1={centerY}
-          x2={maxX + padding}
-          y2={centerY}
-          className="mirror-guide"
+          key={`ic-${key}`}
+          x1={v1.x}
+          y1={v1.y}
+          x2={v2.x}
+          y2={v2.y}
+          className="island-connection"
+        />
+      );
+    });
+  }, [suggestedEdges, edgeIndex, vertices]);
+
+  // Clickable joints for placing power feeds or picking the wiring start
+  const vertexTargets = useMemo(() => {
+    if (tool !== 'feed' && tool !== 'wiring') return null;
+
+    const elements = [];
+    for (const key of jointCounts.keys()) {
+      const vertex = vertices.get(key);
+      elements.push(
+        <circle
+          key={`f-${key}`}
+          cx={vertex.x}
+          cy={vertex.y}
+          r={10}
+          className="vertex-hitbox"
+          onClick={() => onVertexClick(key)}
         />
       );
     }
+    return elements;
+  }, [tool, jointCounts, vertices, onVertexClick]);
 
-    // Radial - show both axes with a center point
-    if (mirrorMode === 'radial') {
+  // Voltage heat map: segments coloured by the mean voltage of their joints,
+  // low joints ringed, and the suggested next feed point marked
+  const voltageOverlay = useMemo(() => {
+    if (!voltageDrop) return null;
+
+    const { voltages, lowJoints, suggestion } = voltageDrop;
+    const elements = [];
+
+    for (const edge of allEdges) {
+      if (!enabledEdges.has(edge.key)) continue;
+      const v1 = vertices.get(edge.v1);
+      const v2 = vertices.get(edge.v2);
+      const volts1 = voltages.get(edge.v1);
+      const volts2 = voltages.get(edge.v2);
+      const volts = volts1 === null || volts2 === null ? null : (volts1 + volts2) / 2;
       elements.push(
         <line
-          key="mirror-r-h"
-          x1={centerX}
-          y1={minY - padding}
-          x2={centerX}
-          y2={maxY + padding}
-          className="mirror-guide"
-        />,
-        <line
-          key="mirror-r-v"
-          x1={minX - padding}
-          y1={centerY}
-          x2={maxX + padding}
-          y2={centerY}
-          className="mirror-guide"
-        />,
-        <circle
-          key="mirror-center"
-          cx={centerX}
-          cy={centerY}
-          r={6}
-          className="mirror-center"
+          key={`vh-${edge.key}`}
+          x1={v1.x}
+          y1={v1.y}
+          x2={v2.x}
+          y2={v2.y}
+          className="voltage-heat"
+          stroke={voltageColor(volts, supplyVoltage)}
         />
       );
     }
 
+    for (const key of lowJoints) {
+      const vertex = vertices.get(key);
+      elements.push(
+        <circle key={`vl-${key}`} cx={vertex.x} cy={vertex.y} r={8} className="voltage-low" />
+      );
+    }
+
+    if (suggestion) {
+      const vertex = vertices.get(suggestion);
+      elements.push(
+        <circle key="v-suggestion" cx={vertex.x} cy={vertex.y} r={13} className="voltage-suggestion" />
+      );
+    }
+
     return elements;
-  }, [showGuides, mirrorMode, gridBounds]);
+  }, [voltageDrop, allEdges, enabledEdges, vertices, supplyVoltage]);
 
-  const viewBoxString = `${viewBox.minX} ${viewBox.minY} ${viewBox.width} ${viewBox.height}`;
+  // Wiring route: numbered arrows in data order, doubled-back steps dashed
+  // Labels are "step" for a single run, "run.step" when there are several
+  const wiringOverlay = useMemo(() => {
+    if (!wiringPlan) return null;
 
-  return (
+    const elements = [];
+    const multipleRuns = wiringPlan.runs.length > 1;
+
+    wiringPlan.runs.forEach((run, runIndex) => {
+      const start = vertices.get(run.start);
+      elements.push(
+        <circle key={`ws-${runIndex}`} cx={start.x} cy={start.y} r={7} className="wiring-start" />
+      );
+
+      run.steps.forEach((step, stepIndex) => {
+        const from = vertices.get(step.from);
+        const to = vertices.get(step.to);
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy);
+        // Offset doubled-back passes to the side so both passes stay visible
+        const offset = step.doubled ? 5 : 0;
+        const ox = (-dy / length) * offset;
+        const oy = (dx / length) * offset;
+        const label = multipleRuns ? `${runIndex + 1}.${stepIndex + 1}` : `${stepIndex + 1}`;
+
+        elements.push(
+          <g key={`w-${runIndex}-${stepIndex}`} className={`wiring-step${step.doubled ? ' doubled' : ''}`}>
+            <line
+              x1={from.x + dx * 0.2 + ox}
+              y1={from.y + dy * 0.2 + oy}
+              x2={from.x + dx * 0.8 + ox}
+              y2={from.y + dy * 0.8 + oy}
+              markerEnd="url(#wiring-arrow)"
+            />
+            <text
+              x={from.x + dx * 0.5 - (dy / length) * 9}
+              y={from.y + dy * 0.5 + (dx / length) * 9}
+              textAnchor="middle"
+              dominantBaseline="central"
+            >
+              {label}
+            </text>
+          </g>
+        );
+      });
+    });
+
+    return elements;
+  }, [wiringPlan, vertices]);
+
+  // Power feed markers
+  const feedMarkers = useMemo(() => {
+    return powerFeeds
+      .filter(key => vertices.has(key))
+      .map(key => {
+        const vertex = vertices.get(key);
+        return (
+          <rect
+            key={`pf-${key}`}
+            x={vertex.x - 7}
+            y={vertex.y - 7}
+            width={14}
+            height={14}
+            transform={`rotate(45 ${vertex.x} ${vertex.y})`}
+            className="power-feed"
+          />
+        );
+      });
+  }, [powerFeeds, vertices]);
+
+  // Mirror axis guide lines and centers (hidden in preview mode), as
+  // { kind: 'line', x1, y1, x2, y2 } or { kind: 'circle', cx, cy, r } shapes
+  // so either renderer can draw them
+  const guideShapes = useMemo(() => {
+    if (!showGuides || mirrorMode === 'none') return [];
+
+    const { minX, maxX, minY, maxY, centerX, centerY } = gridBounds;
+    const padding = 10;
+    const shapes = [];
+    const verticalAxis = { kind: 'line', x1: centerX, y1: minY - padding, x2: centerX, y2: maxY + padding, className: 'mirror-guide' };
+    const horizontalAxis = { kind: 'line', x1: minX - padding, y1: centerY, x2: maxX + padding, y2: centerY, className: 'mirror-guide' };
+
+    // Vertical line (for horizontal mirroring)
+    if (mirrorMode === 'horizontal' || mirrorMode === 'both') shapes.push(verticalAxis);
+
+    // Horizontal line (for vertical mirroring)
+    if (mirrorMode === 'vertical' || mirrorMode === 'both') shapes.push(horizontalAxis);
+
+    // Radial - show both axes with a center point
+    if (mirrorMode === 'radial') {
+      shapes.push(
+        verticalAxis,
+        horizontalAxis,
+        { kind: 'circle', cx: centerX, cy: centerY, r: 6, className: 'mirror-center' }
+      );
+    }
+
+    // Rotational modes - spokes from the center between sectors (and along
+    // every mirror line for the kaleidoscope)
+    if (ROTATION_FOLDS[mirrorMode]) {
+      const center = getRotationCenter(gridBounds, mirrorMode);
+      const spokeCount = mirrorMode === 'kaleidoscope' ? 12 : ROTATION_FOLDS[mirrorMode];
+      const startAngle = pointyTop ? -90 : 0;
+      const length = Math.max(
+        Math.hypot(minX - center.x, minY - center.y),
+        Math.hypot(maxX - center.x, minY - center.y),
+        Math.hypot(minX - center.x, maxY - center.y),
+        Math.hypot(maxX - center.x, maxY - center.y)
+      ) + padding;
+
+      for (let i = 0; i < spokeCount; i++) {
+        const angle = ((startAngle + (360 * i) / spokeCount) * Math.PI) / 180;
+        shapes.push({
+          kind: 'line',
+          x1: center.x,
+          y1: center.y,
+          x2: center.x + length * Math.cos(angle),
+          y2: center.y + length * Math.sin(angle),
+          className: 'mirror-guide'
+        });
+      }
+      shapes.push({ kind: 'circle', cx: center.x, cy: center.y, r: 6, className: 'mirror-center' });
+    }
+
+    return shapes;
+  }, [showGuides, mirrorMode, gridBounds, pointyTop]);
+
+  const mirrorGuides = useMemo(() => {
+    if (useCanvas || guideShapes.length === 0) return null;
+
+    return guideShapes.map(({ kind, ...attributes }, i) => (
+      kind === 'line'
+        ? <line key={`mirror-${i}`} {...attributes} />
+        : <circle key={`mirror-${i}`} {...attributes} />
+    ));
+  }, [useCanvas, guideShapes]);
+
+  // Drag handles for placing the mirror axes and center, drawn above the
+  // grid at the end of each axis and on the center
+  let mirrorHandles = null;
+  if (showGuides && mirrorMode !== 'none' && onMirrorAxesChange) {
+    const { minX, minY, centerX, centerY } = gridBounds;
+    const padding = 10;
+    const handles = [];
+    if (mirrorMode === 'horizontal' || mirrorMode === 'both' || mirrorMode === 'radial') {
+      handles.push({ handle: 'x', x: centerX, y: minY - padding, title: 'Drag to move the mirror axis' });
+    }
+    if (mirrorMode === 'vertical' || mirrorMode === 'both' || mirrorMode === 'radial') {
+      handles.push({ handle: 'y', x: minX - padding, y: centerY, title: 'Drag to move the mirror axis' });
+    }
+    if (mirrorMode === 'radial') {
+      handles.push({ handle: 'center', x: centerX, y: centerY, title: 'Drag to move the mirror center' });
+    }
+    if (ROTATION_FOLDS[mirrorMode]) {
+      const center = getRotationCenter(gridBounds, mirrorMode);
+      handles.push({ handle: 'center', ...center, title: 'Drag to move the symmetry center' });
+    }
+
+    mirrorHandles = handles.map(({ handle, x, y, title }) => (
+      <circle
+        key={`mh-${handle}`}
+        cx={x}
+        cy={y}
+        r={7}
+        className={`mirror-handle${axisDrag?.handle === handle ? ' dragging' : ''}`}
+        {...axisHandlers(handle)}
+      >
+        <title>{title}</title>
+      </circle>
+    ));
+  }
+
+  // Keyboard cursor marker (hidden by CSS unless focused from the keyboard)
+  let cursorElement = null;
+  if (keyboardCursor) {
+    const vertex = vertices.get(keyboardCursor.vertex);
+    const [v1, v2] = keyboardCursor.edge.split('|').map(key => vertices.get(key));
+    cursorElement = (
+      <g className="keyboard-cursor">
+        <line x1={v1.x} y1={v1.y} x2={v2.x} y2={v2.y} className="keyboard-edge" />
+        <circle cx={vertex.x} cy={vertex.y} r={9} className="keyboard-vertex" />
+      </g>
+    );
+  }
+
+  const shown = view ?? viewBox;
+  const viewBoxString = `${shown.minX} ${shown.minY} ${shown.width} ${shown.height}`;
+
+  // The canvas reads its styles through the same classes (see HexGridCanvas)
+  const styleClassName = `hex-grid-svg${isAnimating ? ' animating' : ''}${isSelecting ? ' selecting' : ''}${isPlacing ? ' placing' : ''}`;
+  // Canvas mode has no elements to hover, so the cursor comes from hitTest
+  const hoverClassName = !useCanvas || !hover ? ''
+    : isSelecting && selectedSet.has(hover.edge) ? ' over-selection'
+      : hover.cell || edgeClasses.has(hover.edge) ? ' pointer' : '';
+
+  const svg = (
     <svg
-      className="hex-grid-svg"
+      ref={svgRef}
+      className={`${styleClassName}${hoverClassName}${panning ? ' panning' : spaceHeld ? ' pan-ready' : ''}`}
       viewBox={viewBoxString}
       preserveAspectRatio="xMidYMid meet"
+      tabIndex={0}
+      role="application"
+      aria-label="LED segment grid"
+      aria-describedby={instructionsId}
+      onKeyDown={handleKeyDown}
+      onBlur={() => setKeyboardActive(false)}
+      {...pointerHandlers}
+      {...placeHandlers}
+      {...panHandlers}
+      onPointerDownCapture={(e) => {
+        setKeyboardActive(false);
+        panHandlers.onPointerDownCapture?.(e);
+      }}
     >
       {/* Render mirror guides first (below everything) */}
       {mirrorGuides && (
@@ -182,15 +1054,135 @@ export function HexGrid({
         </g>
       )}
 
+      {/* Render cells below edges so edge hitboxes take priority */}
+      {cellElements && (
+        <g className="cells-group">
+          {cellElements}
+        </g>
+      )}
+
       {/* Render edges */}
       <g className="edges-group">
         {edgeElements}
       </g>
 
+      {/* Selection outline while selecting, ghost while moving */}
+      {selectionOverlay && (
+        <g className="selection-overlay">
+          {selectionOverlay}
+        </g>
+      )}
+
+      {/* Generated shape preview */}
+      {shapeOverlay && (
+        <g className="shape-overlay">
+          {shapeOverlay}
+        </g>
+      )}
+
+      {/* Suggested island connections */}
+      {connectionElements && showGuides && (
+        <g className="island-connections">
+          {connectionElements}
+        </g>
+      )}
+
+      {/* Animated LED effect preview */}
+      {isAnimating && (
+        <EffectPreview
+          leds={effectLeds}
+          center={effectCenter}
+          radius={ledRadius}
+          settings={effect}
+        />
+      )}
+
+      {/* Voltage heat map over the edges */}
+      {voltageOverlay && (
+        <g className="voltage-overlay">
+          {voltageOverlay}
+        </g>
+      )}
+
+      {/* Wiring route */}
+      {wiringOverlay && (
+        <g className="wiring-overlay">
+          <defs>
+            <marker
+              id="wiring-arrow"
+              viewBox="0 0 10 10"
+              refX="8"
+              refY="5"
+              markerWidth="5"
+              markerHeight="5"
+              orient="auto-start-reverse"
+            >
+              <path d="M 0 0 L 10 5 L 0 10 z" className="wiring-arrowhead" />
+            </marker>
+          </defs>
+          {wiringOverlay}
+        </g>
+      )}
+
       {/* Render vertices on top */}
       <g className="vertices-group">
         {vertexElements}
       </g>
+
+      {/* Power feed markers and placement targets */}
+      <g className="power-feeds-group">
+        {feedMarkers}
+        {vertexTargets}
+      </g>
+
+      {/* Keyboard cursor, shown while the grid has keyboard focus */}
+      {cursorElement}
+
+      {/* Mirror axis and center handles */}
+      {mirrorHandles && (
+        <g className="mirror-handles">
+          {mirrorHandles}
+        </g>
+      )}
     </svg>
   );
+
+  // Keyboard instructions and the cursor's live region for screen readers
+  const accessibility = (
+    <>
+      <p id={instructionsId} className="sr-only">
+        Arrow keys move between points. E and Shift+E step through the segments at a point.
+        Space toggles the highlighted segment; with the other tools it acts like a click at the cursor.
+      </p>
+      <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+    </>
+  );
+
+  if (!useCanvas) {
+    return (
+      <>
+        {svg}
+        {accessibility}
+      </>
+    );
+  }
+
+  return (
+    <div className="hex-grid-stack">
+      <HexGridCanvas
+        vertices={vertices}
+        allEdges={allEdges}
+        edgeSpatialIndex={edgeSpatialIndex}
+        edgeClasses={edgeClasses}
+        vertexClasses={vertexClasses}
+        hoverEdge={hover?.edge ?? null}
+        hoverCell={hoverCell}
+        guides={guideShapes}
+        view={shown}
+        svgClassName={styleClassName}
+      />
+      {svg}
+      {accessibility}
+    </div>
+  );
 }
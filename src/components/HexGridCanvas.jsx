@@ -0,0 +1,323 @@
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { createSpatialIndex, queryRect } from '../utils/spatialIndex';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Vertex spatial index bucket size, and the margin around an edge or vertex
+// that a change can repaint (widest stroke or vertex radius, plus antialiasing)
+const BUCKET_SIZE = 60;
+const PAINT_MARGIN = 6;
+
+// Above this many changed items a full redraw is cheaper than many small ones
+const MAX_DIRTY_REGIONS = 400;
+
+// Where the view rectangle lands in a box of the given size, matching the
+// SVG's preserveAspectRatio="xMidYMid meet"
+function getTransform(view, width, height) {
+  const scale = Math.min(width / view.width, height / view.height);
+  return {
+    scale,
+    offsetX: (width - view.width * scale) / 2 - view.minX * scale,
+    offsetY: (height - view.height * scale) / 2 - view.minY * scale
+  };
+}
+
+function edgeBounds(v1, v2) {
+  return {
+    minX: Math.min(v1.x, v2.x) - PAINT_MARGIN,
+    minY: Math.min(v1.y, v2.y) - PAINT_MARGIN,
+    maxX: Math.max(v1.x, v2.x) + PAINT_MARGIN,
+    maxY: Math.max(v1.y, v2.y) + PAINT_MARGIN
+  };
+}
+
+function pointsBounds(points) {
+  return {
+    minX: Math.min(...points.map(p => p.x)) - PAINT_MARGIN,
+    minY: Math.min(...points.map(p => p.y)) - PAINT_MARGIN,
+    maxX: Math.max(...points.map(p => p.x)) + PAINT_MARGIN,
+    maxY: Math.max(...points.map(p => p.y)) + PAINT_MARGIN
+  };
+}
+
+// Highlighted edges are drawn last so neighbours never paint over them
+function edgeRank(className) {
+  return (className.includes('enabled') ? 1 : 0) +
+    (className.includes('selected') || className.includes('hover') ? 2 : 0);
+}
+
+/**
+ * Canvas renderer for the base layer of very large grids: mirror guides, the
+ * hovered cell, edges and vertices
+ *
+ * Draws what HexGrid would render as SVG elements, styled by reading the
+ * same CSS classes from hidden probe elements, so both renderers look alike
+ * in either theme. After the first paint only the regions around edges and
+ * vertices whose class changed are cleared and redrawn.
+ *
+ * @param {object} props
+ * @param {object} props.edgeSpatialIndex - createEdgeSpatialIndex over allEdges
+ * @param {Map} props.edgeClasses - Edge key -> class name of every edge to draw
+ * @param {Map} props.vertexClasses - Vertex key -> class name of every vertex to draw
+ * @param {string|null} props.hoverEdge - Edge under the pointer
+ * @param {object|null} props.hoverCell - { points, className } cell under the pointer
+ * @param {Array} props.guides - Mirror guide shapes (see HexGrid)
+ * @param {object} props.view - Visible viewBox { minX, minY, width, height }
+ * @param {string} props.svgClassName - Class of the SVG drawn over the canvas
+ */
+export function HexGridCanvas({
+  vertices,
+  allEdges,
+  edgeSpatialIndex,
+  edgeClasses,
+  vertexClasses,
+  hoverEdge,
+  hoverCell,
+  guides,
+  view,
+  svgClassName
+}) {
+  const canvasRef = useRef(null);
+  const probeRef = useRef(null);
+  const styles = useRef(new Map());
+  // What the canvas currently shows, for working out what changed
+  const painted = useRef(null);
+
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [theme, setTheme] = useState(() => document.documentElement.getAttribute('data-theme'));
+
+  const vertexList = useMemo(() => Array.from(vertices), [vertices]);
+
+  const vertexSpatialIndex = useMemo(() => {
+    return createSpatialIndex(vertexList.length, (index) => {
+      const { x, y } = vertexList[index][1];
+      return { minX: x, minY: y, maxX: x, maxY: y };
+    }, BUCKET_SIZE);
+  }, [vertexList]);
+
+  // Follow the canvas size
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const observer = new ResizeObserver(() => {
+      setSize({ width: canvas.clientWidth, height: canvas.clientHeight });
+    });
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  // Follow theme changes, which change the colours the classes resolve to
+  useEffect(() => {
+    const observer = new MutationObserver(() => {
+      setTheme(document.documentElement.getAttribute('data-theme'));
+    });
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+    return () => observer.disconnect();
+  }, []);
+
+  useLayoutEffect(() => {
+    const canvas = canvasRef.current;
+    if (size.width === 0 || size.height === 0) return;
+    const ctx = canvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+
+    // Computed style of an SVG element with the given classes
+    const resolveStyle = (tag, className) => {
+      const key = `${tag}|${className}`;
+      if (!styles.current.has(key)) {
+        const probe = document.createElementNS(SVG_NS, tag);
+        probe.setAttribute('class', className);
+        probeRef.current.appendChild(probe);
+        const computed = getComputedStyle(probe);
+        const dashes = computed.strokeDasharray;
+        styles.current.set(key, {
+          hidden: computed.display === 'none',
+          fill: computed.fill,
+          fillAlpha: parseFloat(computed.fillOpacity) * parseFloat(computed.opacity),
+          stroke: computed.stroke,
+          strokeAlpha: parseFloat(computed.strokeOpacity) * parseFloat(computed.opacity),
+          strokeWidth: parseFloat(computed.strokeWidth) || 0,
+          lineCap: computed.strokeLinecap,
+          dashes: dashes && dashes !== 'none' ? dashes.split(/[\s,]+/).map(parseFloat) : []
+        });
+        probe.remove();
+      }
+      return styles.current.get(key);
+    };
+
+    const applyStroke = (style) => {
+      ctx.strokeStyle = style.stroke;
+      ctx.globalAlpha = style.strokeAlpha;
+      ctx.lineWidth = style.strokeWidth;
+      ctx.lineCap = style.lineCap;
+      ctx.setLineDash(style.dashes);
+    };
+
+    const edgeClass = (key) => {
+      const className = edgeClasses.get(key);
+      return className && key === hoverEdge ? `${className} hover` : className;
+    };
+
+    // Draw everything inside a rectangle (grid pixels), or everything at all
+    const paint = (rect) => {
+      const touches = (bounds) => !rect ||
+        (bounds.maxX >= rect.minX && bounds.minX <= rect.maxX && bounds.maxY >= rect.minY && bounds.minY <= rect.maxY);
+
+      for (const guide of guides) {
+        const style = resolveStyle(guide.kind, guide.className);
+        ctx.beginPath();
+        if (guide.kind === 'line') {
+          ctx.moveTo(guide.x1, guide.y1);
+          ctx.lineTo(guide.x2, guide.y2);
+        } else {
+          ctx.arc(guide.cx, guide.cy, guide.r, 0, Math.PI * 2);
+        }
+        applyStroke(style);
+        ctx.stroke();
+      }
+
+      if (hoverCell && touches(pointsBounds(hoverCell.points))) {
+        const style = resolveStyle('polygon', `${hoverCell.className} hover`);
+        ctx.beginPath();
+        hoverCell.points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+        ctx.fillStyle = style.fill;
+        ctx.globalAlpha = style.fillAlpha;
+        ctx.fill();
+      }
+
+      // Edges, batched into one path per class
+      const edgeGroups = new Map();
+      const edgeIndices = rect ? queryRect(edgeSpatialIndex, rect) : allEdges.keys();
+      for (const index of edgeIndices) {
+        const edge = allEdges[index];
+        const className = edgeClass(edge.key);
+        if (!className) continue;
+        if (!edgeGroups.has(className)) edgeGroups.set(className, []);
+        edgeGroups.get(className).push(edge);
+      }
+      const edgeOrder = Array.from(edgeGroups.keys()).sort((a, b) => edgeRank(a) - edgeRank(b));
+      for (const className of edgeOrder) {
+        const style = resolveStyle('line', className);
+        if (style.hidden) continue;
+        ctx.beginPath();
+        for (const edge of edgeGroups.get(className)) {
+          const v1 = vertices.get(edge.v1);
+          const v2 = vertices.get(edge.v2);
+          ctx.moveTo(v1.x, v1.y);
+          ctx.lineTo(v2.x, v2.y);
+        }
+        applyStroke(style);
+        ctx.stroke();
+      }
+
+      // Vertices, batched the same way
+      const vertexGroups = new Map();
+      const vertexIndices = rect ? queryRect(vertexSpatialIndex, {
+        minX: rect.minX - PAINT_MARGIN,
+        minY: rect.minY - PAINT_MARGIN,
+        maxX: rect.maxX + PAINT_MARGIN,
+        maxY: rect.maxY + PAINT_MARGIN
+      }) : vertexList.keys();
+      for (const index of vertexIndices) {
+        const [key, vertex] = vertexList[index];
+        const className = vertexClasses.get(key);
+        if (!className) continue;
+        if (!vertexGroups.has(className)) vertexGroups.set(className, []);
+        vertexGroups.get(className).push(vertex);
+      }
+      for (const [className, group] of vertexGroups) {
+        const style = resolveStyle('circle', className);
+        if (style.hidden) continue;
+        ctx.beginPath();
+        for (const { x, y } of group) {
+          ctx.moveTo(x + 4, y);
+          ctx.arc(x, y, 4, 0, Math.PI * 2);
+        }
+        ctx.fillStyle = style.fill;
+        ctx.globalAlpha = style.fillAlpha;
+        ctx.fill();
+      }
+
+      ctx.globalAlpha = 1;
+      ctx.setLineDash([]);
+    };
+
+    const { scale, offsetX, offsetY } = getTransform(view, size.width, size.height);
+    const sceneKey = [vertices, allEdges, guides, view, size, theme, svgClassName];
+    const previous = painted.current;
+    const fullRedraw = !previous || sceneKey.some((part, i) => part !== previous.sceneKey[i]);
+
+    // Regions around every edge and vertex whose look changed
+    const dirty = [];
+    if (!fullRedraw) {
+      const markEdge = (key) => {
+        const [v1, v2] = key.split('|').map(vertexKey => vertices.get(vertexKey));
+        if (v1 && v2) dirty.push(edgeBounds(v1, v2));
+      };
+      for (const [key, className] of edgeClasses) {
+        if (previous.edgeClasses.get(key) !== className) markEdge(key);
+      }
+      for (const key of previous.edgeClasses.keys()) {
+        if (!edgeClasses.has(key)) markEdge(key);
+      }
+      if (previous.hoverEdge !== hoverEdge) {
+        if (previous.hoverEdge) markEdge(previous.hoverEdge);
+        if (hoverEdge) markEdge(hoverEdge);
+      }
+      for (const [key, className] of vertexClasses) {
+        if (previous.vertexClasses.get(key) !== className) dirty.push(edgeBounds(vertices.get(key), vertices.get(key)));
+      }
+      for (const key of previous.vertexClasses.keys()) {
+        if (!vertexClasses.has(key)) dirty.push(edgeBounds(vertices.get(key), vertices.get(key)));
+      }
+      if (previous.hoverCell !== hoverCell) {
+        if (previous.hoverCell) dirty.push(pointsBounds(previous.hoverCell.points));
+        if (hoverCell) dirty.push(pointsBounds(hoverCell.points));
+      }
+    }
+
+    if (fullRedraw || dirty.length > MAX_DIRTY_REGIONS) {
+      if (canvas.width !== Math.round(size.width * ratio)) canvas.width = Math.round(size.width * ratio);
+      if (canvas.height !== Math.round(size.height * ratio)) canvas.height = Math.round(size.height * ratio);
+      if (previous?.theme !== theme || previous?.svgClassName !== svgClassName) styles.current.clear();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * offsetX, ratio * offsetY);
+      paint(null);
+    } else {
+      for (const region of dirty) {
+        // Snap the region out to whole device pixels so no seams are left
+        const toDevice = ratio * scale;
+        const left = Math.floor(region.minX * toDevice + ratio * offsetX);
+        const top = Math.floor(region.minY * toDevice + ratio * offsetY);
+        const right = Math.ceil(region.maxX * toDevice + ratio * offsetX);
+        const bottom = Math.ceil(region.maxY * toDevice + ratio * offsetY);
+        const rect = {
+          minX: (left - ratio * offsetX) / toDevice,
+          minY: (top - ratio * offsetY) / toDevice,
+          maxX: (right - ratio * offsetX) / toDevice,
+          maxY: (bottom - ratio * offsetY) / toDevice
+        };
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.beginPath();
+        ctx.rect(left, top, right - left, bottom - top);
+        ctx.clip();
+        ctx.clearRect(left, top, right - left, bottom - top);
+        ctx.setTransform(toDevice, 0, 0, toDevice, ratio * offsetX, ratio * offsetY);
+        paint(rect);
+        ctx.restore();
+      }
+    }
+
+    painted.current = { sceneKey, edgeClasses, vertexClasses, hoverEdge, hoverCell, theme, svgClassName };
+  }, [vertices, allEdges, vertexList, edgeSpatialIndex, vertexSpatialIndex, edgeClasses, vertexClasses, hoverEdge, hoverCell, guides, view, size, theme, svgClassName]);
+
+  return (
+    <>
+      <canvas ref={canvasRef} className="hex-grid-canvas" />
+      <svg ref={probeRef} className={svgClassName} style={{ position: 'absolute', width: 0, height: 0, overflow: 'hidden' }} aria-hidden="true" />
+    </>
+  );
+}
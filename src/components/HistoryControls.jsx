@@ -0,0 +1,27 @@
+/**
+ * Undo/redo buttons for the header
+ */
+export function HistoryControls({ canUndo, canRedo, onUndo, onRedo }) {
+  return (
+    <div className="history-controls">
+      <button
+        className="history-btn"
+        onClick={onUndo}
+        disabled={!canUndo}
+        title="Undo (Ctrl+Z)"
+        aria-label="Undo"
+      >
+        ↶
+      </button>
+      <button
+        className="history-btn"
+        onClick={onRedo}
+        disabled={!canRedo}
+        title="Redo (Ctrl+Shift+Z)"
+        aria-label="Redo"
+      >
+        ↷
+      </button>
+    </div>
+  );
+}
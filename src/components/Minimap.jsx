@@ -0,0 +1,61 @@
+import { useMemo, useState } from 'react';
+
+/**
+ * Overview of the whole grid with the visible area outlined
+ * Click or drag on it to move the view there.
+ */
+export function Minimap({ vertices, allEdges, enabledEdges, viewBox, view, onNavigate }) {
+  const [dragging, setDragging] = useState(false);
+
+  // All edges as one path so large grids stay cheap to draw
+  const gridPath = useMemo(() => {
+    return allEdges.map(edge => {
+      const v1 = vertices.get(edge.v1);
+      const v2 = vertices.get(edge.v2);
+      return `M${v1.x} ${v1.y}L${v2.x} ${v2.y}`;
+    }).join('');
+  }, [allEdges, vertices]);
+
+  const designPath = useMemo(() => {
+    return allEdges
+      .filter(edge => enabledEdges.has(edge.key))
+      .map(edge => {
+        const v1 = vertices.get(edge.v1);
+        const v2 = vertices.get(edge.v2);
+        return `M${v1.x} ${v1.y}L${v2.x} ${v2.y}`;
+      }).join('');
+  }, [allEdges, enabledEdges, vertices]);
+
+  const navigate = (e) => {
+    const svg = e.currentTarget;
+    const point = new DOMPoint(e.clientX, e.clientY).matrixTransform(svg.getScreenCTM().inverse());
+    onNavigate({ x: point.x, y: point.y });
+  };
+
+  return (
+    <svg
+      className="minimap"
+      viewBox={`${viewBox.minX} ${viewBox.minY} ${viewBox.width} ${viewBox.height}`}
+      preserveAspectRatio="xMidYMid meet"
+      onPointerDown={(e) => {
+        if (e.button !== 0) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        setDragging(true);
+        navigate(e);
+      }}
+      onPointerMove={(e) => dragging && navigate(e)}
+      onPointerUp={() => setDragging(false)}
+      onPointerCancel={() => setDragging(false)}
+    >
+      <path d={gridPath} className="minimap-grid" />
+      <path d={designPath} className="minimap-design" />
+      <rect
+        x={view.minX}
+        y={view.minY}
+        width={view.width}
+        height={view.height}
+        className="minimap-view"
+      />
+    </svg>
+  );
+}
@@ -0,0 +1,72 @@
+import { useMemo } from 'react';
+import { HexGrid } from './HexGrid';
+import { useViewport } from '../hooks/useViewport';
+import {
+  getGridDimensions,
+  generateGrid,
+  calculateStats,
+  calculateViewBox
+} from '../utils/hexMath';
+
+const PIXEL_SIZE = 30;
+
+/**
+ * Read-only preview of a design opened from a share link
+ *
+ * Renders the shared design on its own grid, independent of the design being
+ * edited, so opening a link never touches the user's work.
+ */
+export function SharedDesignPreview({ name, design, units, toDisplayUnits, onSave, onClose }) {
+  const { vertices, allEdges, edgeIndex, cells } = useMemo(() => {
+    const dims = getGridDimensions(design.width, design.length, design.spacing, design.pointyTop);
+    const grid = generateGrid(dims.cols, dims.colsOdd, dims.rows, dims.rowsOdd, PIXEL_SIZE, design.pointyTop);
+    return { vertices: grid.vertices, allEdges: grid.edges, edgeIndex: grid.edgeIndex, cells: grid.cells };
+  }, [design]);
+
+  const enabledEdges = useMemo(() => new Set(design.enabledEdges), [design]);
+
+  const stats = useMemo(() => {
+    return calculateStats(enabledEdges, allEdges, vertices, cells);
+  }, [enabledEdges, allEdges, vertices, cells]);
+
+  const viewBox = useMemo(() => calculateViewBox(vertices, PIXEL_SIZE), [vertices]);
+  const { view, zoomAt, panBy } = useViewport(viewBox);
+
+  const unitLabel = units === 'cm' ? 'cm' : 'in';
+  const size = (inches) => `${Math.round(toDisplayUnits(inches) * 10) / 10}${unitLabel}`;
+
+  return (
+    <div className="shared-preview">
+      <div className="shared-preview-bar">
+        <div>
+          <strong>{name}</strong>
+          <span className="stat-limit">
+            {' '}shared design, read-only · {size(design.width)} × {size(design.length)} ·
+            {' '}{stats.segments} segments · {stats.joints2} 2-joints · {stats.joints3} 3-joints
+          </span>
+        </div>
+        <div className="button-row">
+          <button className="primary" onClick={onSave}>Save to Library</button>
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+      <div className="grid-container">
+        <HexGrid
+          vertices={vertices}
+          allEdges={allEdges}
+          edgeIndex={edgeIndex}
+          cells={cells}
+          enabledEdges={enabledEdges}
+          viewBox={viewBox}
+          view={view}
+          onZoom={zoomAt}
+          onPan={panBy}
+          jointCounts={stats.jointCounts}
+          mirrorMode="none"
+          pointyTop={design.pointyTop}
+          showGuides={false}
+        />
+      </div>
+    </div>
+  );
+}
@@ -1,3 +1,6 @@
+import { useId } from 'react';
+import { formatCost } from '../utils/costEstimate';
+
 /**
  * Stats panel component
  *
@@ -5,6 +8,11 @@
  */
 export function Stats({
   stats,
+  islandCount,
+  islandConnections,
+  showConnections,
+  setShowConnections,
+  onConnectIslands,
   maxSegments,
   maxJoints2,
   maxJoints3,
@@ -12,8 +20,26 @@ export function Stats({
   units,
   toDisplayUnits,
   spacing,
-  pixelSize
+  pixelSize,
+  billOfMaterials,
+  bomSpares,
+  setBomSpares,
+  onExportBom,
+  costEstimate,
+  powerBudget,
+  voltageDrop,
+  showVoltage,
+  hasPowerFeeds,
+  ledSpecs,
+  voltageSettings,
+  wiringPlan,
+  showWiring,
+  setShowWiring,
+  onExportWiring,
+  currency
 }) {
+  // Prefix for input ids, so labels name their inputs
+  const fieldId = useId();
   const formatLimit = (max) => max > 0 ? `/ ${max}` : '';
   const hasMissingJoints = stats.joints1 > 0;
   const unitLabel = units === 'cm' ? 'cm' : 'in';
@@ -69,12 +95,43 @@ export function Stats({
           </div>
         </div>
 
+        <div className="stat-item">
+          <span className="stat-label">Complete Cells</span>
+          <span className="stat-value">{stats.completeCells}</span>
+        </div>
+
         {hasMissingJoints && (
           <div className="stat-item">
             <span className="stat-label">Missing Joints</span>
             <span className="stat-value warning">{stats.joints1}</span>
           </div>
         )}
+
+        {stats.segments > 0 && (
+          <div className="stat-item">
+            <span className="stat-label">Islands</span>
+            <span className={`stat-value${islandCount > 1 ? ' warning' : ''}`}>{islandCount}</span>
+          </div>
+        )}
+
+        {islandCount > 1 && (
+          <>
+            <div className="stat-note warning">
+              Each island needs its own power and data feed.
+            </div>
+            <label className="checkbox-option">
+              <input
+                type="checkbox"
+                checked={showConnections}
+                onChange={(e) => setShowConnections(e.target.checked)}
+              />
+              <span>Show suggested connections</span>
+            </label>
+            <button onClick={onConnectIslands} style={{ width: '100%' }}>
+              Connect Islands (+{islandConnections.length} segments)
+            </button>
+          </>
+        )}
       </div>
 
       {stats.segments > 0 && (
@@ -91,19 +148,204 @@ export function Stats({
         </div>
       )}
 
+      {stats.segments > 0 && (
+        <div className="panel-section">
+          <h3>Power</h3>
+          <div className="stat-item">
+            <span className="stat-label">LEDs</span>
+            <span className="stat-value">{powerBudget.leds}</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Power Draw</span>
+            <span className="stat-value">{powerBudget.watts.toFixed(1)}W</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Current @ {ledSpecs.voltage}V</span>
+            <span className="stat-value">{powerBudget.amps.toFixed(2)}A</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Recommended PSU</span>
+            <span className="stat-value">
+              {powerBudget.recommendedPsu ? `${powerBudget.recommendedPsu}W` : `${Math.ceil(powerBudget.requiredWatts)}W+`}
+            </span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Supplies @ {ledSpecs.psuWatts}W</span>
+            <div>
+              <span className={`stat-value${limitsExceeded.power ? ' warning' : ''}`}>
+                {powerBudget.supplies}
+              </span>
+            </div>
+          </div>
+          {limitsExceeded.power && (
+            <div className="stat-note warning">
+              Needs {Math.ceil(powerBudget.requiredWatts)}W with headroom, more than one {ledSpecs.psuWatts}W supply
+            </div>
+          )}
+        </div>
+      )}
+
+      {stats.segments > 0 && (
+        <div className="panel-section">
+          <h3>Voltage Drop</h3>
+          {voltageDrop ? (
+            <>
+              <div className="stat-item">
+                <span className="stat-label">Lowest Voltage</span>
+                <span className={`stat-value${voltageDrop.lowJoints.length > 0 ? ' warning' : ''}`}>
+                  {voltageDrop.minVoltage.toFixed(2)}V
+                </span>
+              </div>
+              <div className="stat-item">
+                <span className="stat-label">Below {voltageSettings.threshold}%</span>
+                <span className={`stat-value${voltageDrop.lowJoints.length > 0 ? ' warning' : ''}`}>
+                  {voltageDrop.lowJoints.length}
+                </span>
+              </div>
+              {voltageDrop.unpowered.length > 0 && (
+                <div className="stat-item">
+                  <span className="stat-label">Unpowered Joints</span>
+                  <span className="stat-value warning">{voltageDrop.unpowered.length}</span>
+                </div>
+              )}
+              {!voltageDrop.converged && (
+                <div className="stat-note">
+                  The estimate stopped early on this large design, so the figures are approximate.
+                </div>
+              )}
+              {voltageDrop.suggestion && (
+                <div className="stat-note">
+                  Add a feed at the joint ringed in yellow.
+                </div>
+              )}
+            </>
+          ) : hasPowerFeeds && !showVoltage ? (
+            <div className="stat-note">
+              Turn on the heat map under Voltage Drop in the controls to estimate the voltage at each joint.
+            </div>
+          ) : (
+            <div className="stat-note">
+              Use the power feed tool to mark where power is injected.
+            </div>
+          )}
+        </div>
+      )}
+
+      {stats.segments > 0 && (
+        <div className="panel-section">
+          <h3>Data Wiring</h3>
+          <div className="stat-item">
+            <span className="stat-label">Data Runs</span>
+            <span className="stat-value">{wiringPlan.runs.length}</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Doubled-back Segments</span>
+            <span className="stat-value">{wiringPlan.doubledCount}</span>
+          </div>
+          <label className="checkbox-option" style={{ marginTop: '0.5rem' }}>
+            <input
+              type="checkbox"
+              checked={showWiring}
+              onChange={(e) => setShowWiring(e.target.checked)}
+            />
+            <span>Show route</span>
+          </label>
+          <button onClick={onExportWiring} style={{ width: '100%' }}>Download Segment List</button>
+        </div>
+      )}
+
+      {stats.segments > 0 && (
+        <div className="panel-section">
+          <h3>Cost Estimate</h3>
+          {costEstimate.items.map(item => (
+            <div key={item.label} className="stat-item">
+              <span className="stat-label">
+                {item.label}
+                <span className="stat-limit"> {item.quantity} × {formatCost(item.unitPrice, currency)}</span>
+              </span>
+              <span className="stat-value">{formatCost(item.total, currency)}</span>
+            </div>
+          ))}
+          <div className="stat-item cost-total">
+            <span className="stat-label">Total</span>
+            <span className="stat-value">{formatCost(costEstimate.total, currency)}</span>
+          </div>
+        </div>
+      )}
+
+      {stats.segments > 0 && (
+        <div className="panel-section">
+          <h3>Bill of Materials</h3>
+          <div className="stat-item">
+            <span className="stat-label">Segments</span>
+            <span className="stat-value">
+              {billOfMaterials.segments.order}
+              <span className="stat-limit"> ({billOfMaterials.segments.count} + spares)</span>
+            </span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Lit Length</span>
+            <span className="stat-value">{toDisplayUnits(billOfMaterials.linearLength).toFixed(1)}{unitLabel}</span>
+          </div>
+          {billOfMaterials.connectors.filter(c => c.count > 0).map(connector => (
+            <div key={connector.type} className="bom-part">
+              <div className="stat-item">
+                <span className="stat-label">{connector.label}</span>
+                <span className="stat-value">
+                  {connector.order}
+                  <span className="stat-limit"> ({connector.count} + spares)</span>
+                </span>
+              </div>
+              {connector.orientations.map(({ orientation, count }) => (
+                <div key={orientation} className="bom-detail">
+                  <span>{orientation}</span>
+                  <span>{count}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+
+          <div className="input-row" style={{ marginTop: '0.75rem' }}>
+            <div className="input-group">
+              <label htmlFor={`${fieldId}-segment-spares`}>Segment spares %</label>
+              <input
+                id={`${fieldId}-segment-spares`}
+                type="number"
+                min="0"
+                max="100"
+                value={bomSpares.segments}
+                onChange={(e) => setBomSpares(prev => ({ ...prev, segments: parseInt(e.target.value) || 0 }))}
+              />
+            </div>
+            <div className="input-group">
+              <label htmlFor={`${fieldId}-connector-spares`}>Connector spares %</label>
+              <input
+                id={`${fieldId}-connector-spares`}
+                type="number"
+                min="0"
+                max="100"
+                value={bomSpares.connectors}
+                onChange={(e) => setBomSpares(prev => ({ ...prev, connectors: parseInt(e.target.value) || 0 }))}
+              />
+            </div>
+          </div>
+          <button onClick={onExportBom} style={{ width: '100%' }}>Download CSV</button>
+        </div>
+      )}
+
       <div className="panel-section">
         <h3>Legend</h3>
         <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
           <p style={{ marginBottom: '0.5rem' }}>
-            <span style={{ display: 'inline-block', width: '10px', height: '10px', borderRadius: '50%', backgroundColor: 'var(--warning)', marginRight: '0.5rem' }}></span>
+            <span style={{ display: 'inline-block', width: '10px', height: '10px', borderRadius: '50%', backgroundColor: 'var(--warning)', marginRight: '0.5rem' }} aria-hidden="true"></span>
             Missing joint (dead end)
           </p>
           <p style={{ marginBottom: '0.5rem' }}>
-            <span style={{ display: 'inline-block', width: '10px', height: '10px', borderRadius: '50%', backgroundColor: 'var(--accent)', marginRight: '0.5rem' }}></span>
+            <span style={{ display: 'inline-block', width: '10px', height: '10px', borderRadius: '50%', backgroundColor: 'var(--accent)', marginRight: '0.5rem' }} aria-hidden="true"></span>
             2-joint vertex
           </p>
           <p>
-            <span style={{ display: 'inline-block', width: '10px', height: '10px', borderRadius: '50%', backgroundColor: 'var(--success)', marginRight: '0.5rem' }}></span>
+            <span style={{ display: 'inline-block', width: '10px', height: '10px', borderRadius: '50%', backgroundColor: 'var(--success)', marginRight: '0.5rem' }} aria-hidden="true"></span>
             3+ joint vertex
           </p>
         </div>
@@ -112,8 +354,14 @@ export function Stats({
       <div className="panel-section">
         <h3>Tips</h3>
         <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
-          <p>Click on edges to toggle them on/off.</p>
+          <p>Click on edges to toggle them on/off, or drag across edges to paint or erase several at once.</p>
+          <p style={{ marginTop: '0.5rem' }}>Click inside a hexagon to fill or clear all six of its edges.</p>
           <p style={{ marginTop: '0.5rem' }}>Use mirror modes to create symmetric patterns.</p>
+          <p style={{ marginTop: '0.5rem' }}>Use the select tool to copy a motif and paste it where the pointer is (Ctrl+C, Ctrl+V); R rotates and H/V flip the selection.</p>
+          <p style={{ marginTop: '0.5rem' }}>Use the generate tool to drop rings, spirals, chevrons and other shapes onto the grid in one step.</p>
+          <p style={{ marginTop: '0.5rem' }}>Use the text tool to light up initials or a word in a seven-segment style font made for the hex lattice.</p>
+          <p style={{ marginTop: '0.5rem' }}>Scroll to zoom; drag with the middle button, or hold Space and drag, to pan.</p>
+          <p style={{ marginTop: '0.5rem' }}>From the keyboard, Tab to the grid, then use the arrow keys to move between points, E to pick a segment and Space to toggle it.</p>
         </div>
       </div>
     </div>
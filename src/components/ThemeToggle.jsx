@@ -7,6 +7,7 @@ export function ThemeToggle({ theme, onToggle }) {
       className="theme-toggle"
       onClick={onToggle}
       title={`Switch to ${theme === 'dark' ? 'light' : 'dark'} theme`}
+      aria-label={`Switch to ${theme === 'dark' ? 'light' : 'dark'} theme`}
     >
       {theme === 'dark' ? '☀️' : '🌙'}
     </button>
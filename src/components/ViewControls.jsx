@@ -0,0 +1,21 @@
+/**
+ * Zoom and fit buttons over the grid
+ */
+export function ViewControls({ zoom, onZoomIn, onZoomOut, onFitGrid, onFitDesign }) {
+  return (
+    <div className="view-controls">
+      <button className="history-btn" onClick={onZoomOut} title="Zoom out (mouse wheel)" aria-label="Zoom out">−</button>
+      <span className="view-zoom" aria-live="polite">{Math.round(zoom * 100)}%</span>
+      <button className="history-btn" onClick={onZoomIn} title="Zoom in (mouse wheel)" aria-label="Zoom in">+</button>
+      <button className="history-btn" onClick={onFitGrid} title="Show the whole grid">Fit Grid</button>
+      <button
+        className="history-btn"
+        onClick={onFitDesign}
+        disabled={!onFitDesign}
+        title="Zoom to the enabled segments"
+      >
+        Fit Design
+      </button>
+    </div>
+  );
+}
@@ -1,12 +1,29 @@
-import { useMemo, useCallback } from 'react';
+import { useMemo, useCallback, useDeferredValue, useRef, useEffect } from 'react';
 import {
   getGridDimensions,
   generateGrid,
-  getMirroredEdges,
+  buildMirrorMap,
   calculateStats,
+  calculateViewBox,
   DEFAULT_POINT_SPACING
 } from '../utils/hexMath';
+import { calculateBillOfMaterials, DEFAULT_BOM_SPARES } from '../utils/billOfMaterials';
+import { calculateCost, DEFAULT_PRICE_LIST } from '../utils/costEstimate';
+import { calculatePowerBudget, DEFAULT_LED_SPECS } from '../utils/power';
+import { simulateVoltageDrop, DEFAULT_VOLTAGE_SETTINGS } from '../utils/voltageDrop';
+import { planWiring } from '../utils/wiringPlan';
+import { findIslands, suggestIslandConnections, buildLatticeAdjacency } from '../utils/graph';
+import { DEFAULT_EFFECT } from '../utils/effects';
+import { migrateDesign, DESIGN_SCHEMA_VERSION } from '../utils/designFile';
 import { useLocalStorage } from './useLocalStorage';
+import { useHistory } from './useHistory';
+import { useSelection } from './useSelection';
+import { useShapeGenerator } from './useShapeGenerator';
+import { useLettering } from './useLettering';
+
+// Maximum number of undo steps kept (history is persisted to localStorage,
+// and on large grids trimmed further to fit; see useHistory)
+const HISTORY_LIMIT = 50;
 
 /**
  * Custom hook for managing hex grid state
@@ -21,18 +38,78 @@ export function useHexGrid() {
   const [spacing, setSpacing] = useLocalStorage('hexlight-spacing', DEFAULT_POINT_SPACING);
   const [pointyTop, setPointyTop] = useLocalStorage('hexlight-pointytop', true);
   const [mirrorMode, setMirrorMode] = useLocalStorage('hexlight-mirror', 'none');
+  // User-placed mirror axes and rotation center, null for the middle of the grid
+  const [mirrorAxes, setMirrorAxes] = useLocalStorage('hexlight-mirror-axes', null);
 
   // Limits
   const [maxSegments, setMaxSegments] = useLocalStorage('hexlight-max-segments', 0);
   const [maxJoints2, setMaxJoints2] = useLocalStorage('hexlight-max-joints2', 0);
   const [maxJoints3, setMaxJoints3] = useLocalStorage('hexlight-max-joints3', 0);
 
+  // LED electrical specs for the power budget
+  const [ledSpecs, setLedSpecs] = useLocalStorage('hexlight-led-specs', DEFAULT_LED_SPECS);
+
+  // Power injection points (vertex keys) and voltage-drop model settings
+  const [powerFeeds, setPowerFeeds] = useLocalStorage('hexlight-power-feeds', []);
+  const [voltageSettings, setVoltageSettings] = useLocalStorage('hexlight-voltage-settings', DEFAULT_VOLTAGE_SETTINGS);
+  // Voltage heat map on the grid; the simulation only runs while it's shown
+  const [showVoltage, setShowVoltage] = useLocalStorage('hexlight-show-voltage', true);
+
+  // Preferred start joint of the data wiring run
+  const [wiringStart, setWiringStart] = useLocalStorage('hexlight-wiring-start', null);
+
+  // Animated effect preview settings
+  const [effect, setEffect] = useLocalStorage('hexlight-effect', DEFAULT_EFFECT);
+
+  // Price list and quoted cable length (metres) for the cost estimate
+  const [priceList, setPriceList] = useLocalStorage('hexlight-price-list', DEFAULT_PRICE_LIST);
+  const [cableMetres, setCableMetres] = useLocalStorage('hexlight-cable-metres', 0);
+
+  // Bill of materials spare allowances (percent)
+  const [bomSpares, setBomSpares] = useLocalStorage('hexlight-bom-spares', DEFAULT_BOM_SPARES);
+
   // Enabled edges (stored as array for JSON serialization)
   const [enabledEdgesArray, setEnabledEdgesArray] = useLocalStorage('hexlight-edges', []);
 
   // Convert array to Set for efficient lookups
   const enabledEdges = useMemo(() => new Set(enabledEdgesArray), [enabledEdgesArray]);
 
+  // Undo/redo history of design mutations (edges and grid configuration)
+  const history = useHistory('hexlight-history', HISTORY_LIMIT);
+
+  // Snapshot of everything an undoable action can change
+  const getSnapshot = useCallback(() => ({
+    width,
+    length,
+    spacing,
+    pointyTop,
+    enabledEdges: enabledEdgesArray
+  }), [width, length, spacing, pointyTop, enabledEdgesArray]);
+
+  // Snapshot applied since the last render. Undo, redo and commits fired
+  // before React re-renders start from it rather than the stale state.
+  const pendingSnapshot = useRef(null);
+  useEffect(() => {
+    pendingSnapshot.current = null;
+  });
+  const getLatestSnapshot = useCallback(() => pendingSnapshot.current ?? getSnapshot(), [getSnapshot]);
+
+  const applySnapshot = useCallback((snapshot) => {
+    pendingSnapshot.current = snapshot;
+    setWidth(snapshot.width);
+    setLength(snapshot.length);
+    setSpacing(snapshot.spacing);
+    setPointyTop(snapshot.pointyTop);
+    setEnabledEdgesArray(snapshot.enabledEdges);
+  }, [setWidth, setLength, setSpacing, setPointyTop, setEnabledEdgesArray]);
+
+  // Apply a change as a single undo step
+  const commit = useCallback((changes) => {
+    const current = getLatestSnapshot();
+    history.record(current);
+    applySnapshot({ ...current, ...changes });
+  }, [getLatestSnapshot, applySnapshot, history]);
+
   // Calculate grid dimensions
   const gridDimensions = useMemo(() => {
     return getGridDimensions(width, length, spacing, pointyTop);
@@ -41,9 +118,9 @@ export function useHexGrid() {
   // Use a consistent pixel size for rendering (pixels per inch of point spacing)
   const pixelSize = 30; // pixels per unit of point spacing
 
-  // Generate vertices and edges together to ensure consistent vertex keys
+  // Generate vertices, edges and cells together to ensure consistent vertex keys
   // Pass separate counts for even/odd rows or columns (ragged grid support)
-  const { vertices, allEdges } = useMemo(() => {
+  const { vertices, allEdges, edgeIndex, cells } = useMemo(() => {
     const grid = generateGrid(
       gridDimensions.cols,
       gridDimensions.colsOdd,
@@ -52,128 +129,288 @@ export function useHexGrid() {
       pixelSize,
       pointyTop
     );
-    return { vertices: grid.vertices, allEdges: grid.edges };
+    return { vertices: grid.vertices, allEdges: grid.edges, edgeIndex: grid.edgeIndex, cells: grid.cells };
   }, [gridDimensions.cols, gridDimensions.colsOdd, gridDimensions.rows, gridDimensions.rowsOdd, pixelSize, pointyTop]);
 
   // Filter enabled edges to only include valid edges for current grid
   const validEnabledEdges = useMemo(() => {
-    const validEdgeKeys = new Set(allEdges.map(e => e.key));
     const valid = new Set();
     for (const key of enabledEdges) {
-      if (validEdgeKeys.has(key)) {
+      if (edgeIndex.has(key)) {
         valid.add(key);
       }
     }
     return valid;
-  }, [enabledEdges, allEdges]);
+  }, [enabledEdges, edgeIndex]);
 
   // Calculate statistics (pass vertices for bounding box calculation)
   const stats = useMemo(() => {
-    return calculateStats(validEnabledEdges, allEdges, vertices);
-  }, [validEnabledEdges, allEdges, vertices]);
+    return calculateStats(validEnabledEdges, allEdges, vertices, cells);
+  }, [validEnabledEdges, allEdges, vertices, cells]);
+
+  // Separate pieces of the design, each needing its own power and data feed
+  const islands = useMemo(() => {
+    return findIslands(validEnabledEdges, allEdges);
+  }, [validEnabledEdges, allEdges]);
+
+  // Every edge of the grid by vertex, for paths across unlit segments
+  const latticeAdjacency = useMemo(() => buildLatticeAdjacency(allEdges), [allEdges]);
+
+  // Fewest extra segments that would join the islands into one structure
+  const islandConnections = useMemo(() => {
+    return suggestIslandConnections(islands.islands, latticeAdjacency);
+  }, [islands, latticeAdjacency]);
+
+  // Bill of materials (connector breakdown, lit length, order quantities)
+  const billOfMaterials = useMemo(() => {
+    return calculateBillOfMaterials(validEnabledEdges, allEdges, vertices, spacing, pointyTop, bomSpares);
+  }, [validEnabledEdges, allEdges, vertices, spacing, pointyTop, bomSpares]);
+
+  // Power draw and supply sizing
+  const powerBudget = useMemo(() => {
+    return calculatePowerBudget(stats.segments, ledSpecs);
+  }, [stats.segments, ledSpecs]);
+
+  // Estimated voltage at every joint (null when there are no feeds or the
+  // heat map is hidden, since the solve is costly on large designs). The
+  // design is deferred so edits render first and the solve catches up once
+  // they settle, rather than running inside every click and paint stroke.
+  const voltageDesign = useMemo(() => ({
+    enabledEdges: validEnabledEdges,
+    jointCounts: stats.jointCounts
+  }), [validEnabledEdges, stats.jointCounts]);
+  const deferredVoltageDesign = useDeferredValue(voltageDesign);
+
+  const voltageDrop = useMemo(() => {
+    const { enabledEdges: edges, jointCounts } = deferredVoltageDesign;
+    if (!showVoltage || powerFeeds.length === 0 || jointCounts.size === 0) return null;
+    return simulateVoltageDrop(
+      edges,
+      allEdges,
+      jointCounts,
+      powerFeeds,
+      ledSpecs.voltage,
+      voltageSettings
+    );
+  }, [showVoltage, powerFeeds, deferredVoltageDesign, allEdges, ledSpecs.voltage, voltageSettings]);
+
+  // Data wiring route: one run per connected piece
+  const wiringPlan = useMemo(() => {
+    return planWiring(validEnabledEdges, allEdges, vertices, wiringStart);
+  }, [validEnabledEdges, allEdges, vertices, wiringStart]);
+
+  // Itemized cost estimate
+  const costEstimate = useMemo(() => {
+    return calculateCost(billOfMaterials, priceList, powerBudget.supplies, cableMetres);
+  }, [billOfMaterials, priceList, powerBudget.supplies, cableMetres]);
 
   // Check if limits are exceeded
   const limitsExceeded = useMemo(() => ({
     segments: maxSegments > 0 && stats.segments > maxSegments,
     joints2: maxJoints2 > 0 && stats.joints2 > maxJoints2,
-    joints3: maxJoints3 > 0 && stats.joints3 > maxJoints3
-  }), [stats, maxSegments, maxJoints2, maxJoints3]);
+    joints3: maxJoints3 > 0 && stats.joints3 > maxJoints3,
+    // A single supply of the configured rating can't carry the design
+    power: powerBudget.requiredWatts > ledSpecs.psuWatts
+  }), [stats, maxSegments, maxJoints2, maxJoints3, powerBudget, ledSpecs.psuWatts]);
 
-  // Toggle an edge (with mirroring)
-  const toggleEdge = useCallback((edgeKey) => {
-    const edgesToToggle = getMirroredEdges(
-      edgeKey,
-      mirrorMode,
-      gridDimensions.cols,
-      gridDimensions.rows,
-      pointyTop,
-      vertices,
-      allEdges
-    );
+  // Mirror images of every edge for the current mode and axes, built once
+  // so painting and dragging strokes only do lookups
+  const mirrorMap = useMemo(() => {
+    return buildMirrorMap(mirrorMode, pointyTop, vertices, edgeIndex, mirrorAxes);
+  }, [mirrorMode, pointyTop, vertices, edgeIndex, mirrorAxes]);
 
-    setEnabledEdgesArray(prev => {
-      const current = new Set(prev);
-      const isCurrentlyEnabled = current.has(edgeKey);
+  // Get an edge together with its mirror images for the current mirror mode
+  const getMirrors = useCallback((edgeKey) => {
+    return mirrorMap.mirrors.get(edgeKey) ?? [edgeKey];
+  }, [mirrorMap]);
 
-      for (const key of edgesToToggle) {
-        if (isCurrentlyEnabled) {
+  // Enabled edges whose mirror image falls outside the grid
+  const unmirroredEdges = useMemo(() => {
+    const unmirrored = new Set();
+    for (const key of validEnabledEdges) {
+      if (mirrorMap.unmirrored.has(key)) unmirrored.add(key);
+    }
+    return unmirrored;
+  }, [validEnabledEdges, mirrorMap]);
+
+  // Merge a batch of edges (with mirroring) into the design as a single undo
+  // step: 'add' enables them, 'subtract' disables them and 'replace' clears
+  // everything else. Keys that aren't grid edges are ignored.
+  const applyEdges = useCallback((edgeKeys, mode) => {
+    const current = new Set(mode === 'replace' ? [] : enabledEdgesArray);
+
+    for (const edgeKey of edgeKeys) {
+      if (!edgeIndex.has(edgeKey)) continue;
+      for (const key of getMirrors(edgeKey)) {
+        if (mode === 'subtract') {
           current.delete(key);
         } else {
           current.add(key);
         }
       }
+    }
 
-      return Array.from(current);
-    });
-  }, [mirrorMode, gridDimensions.cols, gridDimensions.rows, pointyTop, vertices, allEdges, setEnabledEdgesArray]);
+    commit({ enabledEdges: Array.from(current) });
+  }, [enabledEdgesArray, edgeIndex, getMirrors, commit]);
+
+  // Set a batch of edges (with mirroring) to one state as a single undo step
+  const paintEdges = useCallback((edgeKeys, enable) => {
+    applyEdges(edgeKeys, enable ? 'add' : 'subtract');
+  }, [applyEdges]);
+
+  // Toggle an edge (with mirroring)
+  // All mirrored edges follow the clicked edge, so they undo as one step
+  const toggleEdge = useCallback((edgeKey) => {
+    paintEdges([edgeKey], !enabledEdges.has(edgeKey));
+  }, [paintEdges, enabledEdges]);
+
+  // Toggle all six edges of a cell (with mirroring): a complete cell is
+  // cleared, anything else is filled in
+  const toggleCell = useCallback((cellKey) => {
+    const cell = cells.find(c => c.key === cellKey);
+    if (!cell) return;
+    const isComplete = cell.edges.every(key => enabledEdges.has(key));
+    paintEdges(cell.edges, !isComplete);
+  }, [cells, enabledEdges, paintEdges]);
+
+  // Mark or unmark a vertex as a power injection point
+  const togglePowerFeed = useCallback((vertexKey) => {
+    setPowerFeeds(prev => prev.includes(vertexKey)
+      ? prev.filter(key => key !== vertexKey)
+      : [...prev, vertexKey]);
+  }, [setPowerFeeds]);
+
+  // Add the suggested island connections as a single undo step
+  // Not mirrored: the suggestion already joins every island
+  const connectIslands = useCallback(() => {
+    if (islandConnections.length === 0) return;
+    commit({ enabledEdges: Array.from(new Set([...enabledEdgesArray, ...islandConnections])) });
+  }, [islandConnections, enabledEdgesArray, commit]);
+
+  // Select tool: selection, clipboard and transforms of the selected edges
+  const setEdges = useCallback((edgeKeys) => {
+    commit({ enabledEdges: edgeKeys });
+  }, [commit]);
+
+  const selection = useSelection({
+    enabledEdges: validEnabledEdges,
+    edgeIndex,
+    pixelSize,
+    pointyTop,
+    setEdges
+  });
+
+  // Generate tool: parametric shapes merged through applyEdges
+  const shapeGenerator = useShapeGenerator({
+    vertices,
+    edgeIndex,
+    getMirrors,
+    pixelSize,
+    pointyTop,
+    applyEdges
+  });
+
+  // Text tool: lettering in the hex stroke font, merged the same way
+  const lettering = useLettering({
+    vertices,
+    edgeIndex,
+    getMirrors,
+    pixelSize,
+    pointyTop,
+    applyEdges
+  });
 
   // Clear all edges
   const clearAll = useCallback(() => {
-    setEnabledEdgesArray([]);
-  }, [setEnabledEdgesArray]);
+    commit({ enabledEdges: [] });
+  }, [commit]);
+
+  // Start a new empty grid with the given configuration (inches)
+  const createGrid = useCallback((config) => {
+    commit({
+      width: config.width,
+      length: config.length,
+      spacing: config.spacing,
+      pointyTop: config.pointyTop,
+      enabledEdges: []
+    });
+  }, [commit]);
+
+  // Undo/redo the last design change
+  const undo = useCallback(() => {
+    const snapshot = history.undo(getLatestSnapshot());
+    if (snapshot) applySnapshot(snapshot);
+  }, [history, getLatestSnapshot, applySnapshot]);
+
+  const redo = useCallback(() => {
+    const snapshot = history.redo(getLatestSnapshot());
+    if (snapshot) applySnapshot(snapshot);
+  }, [history, getLatestSnapshot, applySnapshot]);
 
   // Get current design state for saving
   // Note: Save format uses explicit property names for clarity and backwards compatibility
   const getDesignState = useCallback(() => ({
+    version: DESIGN_SCHEMA_VERSION,
     width,
     length,
     spacing,
     pointyTop,
     mirrorMode,
+    mirrorAxes,
     enabledEdges: enabledEdgesArray,
     maxSegments,
     maxJoints2,
-    maxJoints3
-  }), [width, length, spacing, pointyTop, mirrorMode, enabledEdgesArray, maxSegments, maxJoints2, maxJoints3]);
+    maxJoints3,
+    priceList,
+    cableMetres,
+    powerFeeds,
+    wiringStart,
+    effect
+  }), [width, length, spacing, pointyTop, mirrorMode, mirrorAxes, enabledEdgesArray, maxSegments, maxJoints2, maxJoints3, priceList, cableMetres, powerFeeds, wiringStart, effect]);
 
   // Load a design state
   // Supports both old format (widthInches/lengthInches/pointSpacing) and new format (width/length/spacing)
-  const loadDesignState = useCallback((design) => {
-    if (design.width !== undefined) setWidth(design.width);
-    else if (design.widthInches !== undefined) setWidth(design.widthInches); // legacy support
-    if (design.length !== undefined) setLength(design.length);
-    else if (design.lengthInches !== undefined) setLength(design.lengthInches); // legacy support
-    if (design.spacing !== undefined) setSpacing(design.spacing);
-    else if (design.pointSpacing !== undefined) setSpacing(design.pointSpacing); // legacy support
-    if (design.pointyTop !== undefined) setPointyTop(design.pointyTop);
+  const loadDesignState = useCallback((saved) => {
+    // Older designs are upgraded through the schema migration chain
+    const design = migrateDesign(saved);
+    const changes = {};
+    if (design.width !== undefined) changes.width = design.width;
+    if (design.length !== undefined) changes.length = design.length;
+    if (design.spacing !== undefined) changes.spacing = design.spacing;
+    if (design.pointyTop !== undefined) changes.pointyTop = design.pointyTop;
+    if (design.enabledEdges !== undefined) changes.enabledEdges = design.enabledEdges;
+    commit(changes);
+
     if (design.mirrorMode !== undefined) setMirrorMode(design.mirrorMode);
-    if (design.enabledEdges !== undefined) setEnabledEdgesArray(design.enabledEdges);
     if (design.maxSegments !== undefined) setMaxSegments(design.maxSegments);
     if (design.maxJoints2 !== undefined) setMaxJoints2(design.maxJoints2);
     if (design.maxJoints3 !== undefined) setMaxJoints3(design.maxJoints3);
-  }, [setWidth, setLength, setSpacing, setPointyTop, setMirrorMode, setEnabledEdgesArray, setMaxSegments, setMaxJoints2, setMaxJoints3]);
+    // Restore the prices a design was quoted with so the quote reproduces
+    if (design.priceList !== undefined) setPriceList({ ...DEFAULT_PRICE_LIST, ...design.priceList });
+    if (design.cableMetres !== undefined) setCableMetres(design.cableMetres);
+    if (design.effect !== undefined) setEffect({ ...DEFAULT_EFFECT, ...design.effect });
+    // Feeds, the wiring start and placed mirror axes belong to a layout, so a
+    // design saved without them clears them
+    setPowerFeeds(design.powerFeeds || []);
+    setWiringStart(design.wiringStart ?? null);
+    setMirrorAxes(design.mirrorAxes ?? null);
+  }, [commit, setMirrorMode, setMirrorAxes, setMaxSegments, setMaxJoints2, setMaxJoints3, setPriceList, setCableMetres, setEffect, setPowerFeeds, setWiringStart]);
 
   // Calculate SVG viewBox dimensions
   const viewBox = useMemo(() => {
-    let maxX = 0;
-    let maxY = 0;
-
-    for (const vertex of vertices.values()) {
-      maxX = Math.max(maxX, vertex.x);
-      maxY = Math.max(maxY, vertex.y);
-    }
-
-    const padding = pixelSize;
-    return {
-      minX: -padding,
-      minY: -padding,
-      width: maxX + padding * 2,
-      height: maxY + padding * 2
-    };
+    return calculateViewBox(vertices, pixelSize);
   }, [vertices, pixelSize]);
 
   return {
     // Configuration (internal storage: inches)
     width,
-    setWidth,
     length,
-    setLength,
     spacing,
-    setSpacing,
     pointyTop,
-    setPointyTop,
     mirrorMode,
     setMirrorMode,
+    mirrorAxes,
+    setMirrorAxes,
 
     // Limits
     maxSegments,
@@ -184,21 +421,78 @@ export function useHexGrid() {
     setMaxJoints3,
     limitsExceeded,
 
+    // Electrical
+    ledSpecs,
+    setLedSpecs,
+    powerFeeds,
+    setPowerFeeds,
+    voltageSettings,
+    setVoltageSettings,
+    showVoltage,
+    setShowVoltage,
+    wiringStart,
+    setWiringStart,
+
+    // Effect preview
+    effect,
+    setEffect,
+
+    // Pricing
+    priceList,
+    setPriceList,
+    cableMetres,
+    setCableMetres,
+
     // Grid data
     gridDimensions,
     vertices,
     allEdges,
+    edgeIndex,
+    cells,
     enabledEdges: validEnabledEdges,
     viewBox,
     pixelSize,
 
     // Statistics
     stats,
+    unmirroredEdges,
+    islands,
+    islandConnections,
+    billOfMaterials,
+    bomSpares,
+    setBomSpares,
+    costEstimate,
+    powerBudget,
+    voltageDrop,
+    wiringPlan,
 
     // Actions
+    getMirrors,
     toggleEdge,
+    paintEdges,
+    toggleCell,
+    togglePowerFeed,
+    connectIslands,
     clearAll,
+    createGrid,
     getDesignState,
-    loadDesignState
+    loadDesignState,
+
+    applyEdges,
+
+    // Selection
+    ...selection,
+
+    // Shape generator
+    ...shapeGenerator,
+
+    // Text tool
+    ...lettering,
+
+    // History
+    undo,
+    redo,
+    canUndo: history.canUndo,
+    canRedo: history.canRedo
   };
 }
@@ -0,0 +1,134 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+// Most characters the serialized history may take up in localStorage.
+// Snapshots hold whole edge lists, so on large grids fewer steps than the
+// limit fit in the storage quota alongside everything else.
+const STORAGE_BUDGET = 2000000;
+
+// Serialized size of each snapshot, worked out once since snapshots are
+// carried unchanged from one history to the next
+const snapshotSizes = new WeakMap();
+const sizeOf = (snapshot) => {
+  if (!snapshotSizes.has(snapshot)) snapshotSizes.set(snapshot, JSON.stringify(snapshot).length);
+  return snapshotSizes.get(snapshot);
+};
+
+/**
+ * Drop the oldest undo steps, then the furthest redo steps, until the history
+ * fits the storage budget. The latest undo step is always kept.
+ */
+function fitToBudget(history) {
+  const past = [...history.past];
+  const future = [...history.future];
+  let size = [...past, ...future].reduce((total, snapshot) => total + sizeOf(snapshot), 0);
+
+  while (size > STORAGE_BUDGET) {
+    if (past.length > 1) {
+      size -= sizeOf(past.shift());
+    } else if (future.length > 0) {
+      size -= sizeOf(future.pop());
+    } else {
+      break;
+    }
+  }
+  return { past, future };
+}
+
+// Delay before the history is written to localStorage, so a burst of edits
+// (a paint stroke, repeated undos) serializes it once rather than every step
+const PERSIST_DELAY = 500;
+
+function readHistory(key) {
+  try {
+    const item = window.localStorage.getItem(key);
+    return item ? JSON.parse(item) : { past: [], future: [] };
+  } catch (error) {
+    console.warn(`Error reading localStorage key "${key}":`, error);
+    return { past: [], future: [] };
+  }
+}
+
+function writeHistory(key, history) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(history));
+  } catch (error) {
+    console.warn(`Error setting localStorage key "${key}":`, error);
+  }
+}
+
+/**
+ * Custom hook for a bounded undo/redo history persisted to localStorage
+ *
+ * The caller owns the actual state: it records a snapshot before each
+ * mutation, and applies whatever snapshot undo/redo hands back. Besides the
+ * step limit, the history is trimmed to what fits in localStorage, and it is
+ * written there once edits pause (or the page is hidden).
+ *
+ * The latest history is kept in a ref as well as in state, so steps taken
+ * before React re-renders (two quick undos, an undo batched with an edit)
+ * each build on the one before instead of on a stale copy.
+ * @param {string} key - localStorage key
+ * @param {number} limit - Maximum number of steps kept in each direction
+ * @returns {object} { canUndo, canRedo, record, undo, redo }
+ */
+export function useHistory(key, limit) {
+  const [history, setHistory] = useState(() => readHistory(key));
+  const latest = useRef(history);
+
+  const update = useCallback((next) => {
+    latest.current = next;
+    setHistory(next);
+  }, []);
+
+  // Persist after a pause, and straight away if the page is being left
+  useEffect(() => {
+    const timer = setTimeout(() => writeHistory(key, history), PERSIST_DELAY);
+    return () => clearTimeout(timer);
+  }, [key, history]);
+
+  useEffect(() => {
+    const flush = () => writeHistory(key, latest.current);
+    window.addEventListener('pagehide', flush);
+    return () => window.removeEventListener('pagehide', flush);
+  }, [key]);
+
+  // Record the state as it was before a mutation (invalidates redo)
+  const record = useCallback((snapshot) => {
+    update(fitToBudget({
+      past: [...latest.current.past, snapshot].slice(-limit),
+      future: []
+    }));
+  }, [update, limit]);
+
+  // Step back one change; `current` is kept so the step can be redone
+  // Returns the snapshot to restore, or null if there is nothing to undo
+  const undo = useCallback((current) => {
+    const { past, future } = latest.current;
+    if (past.length === 0) return null;
+    update(fitToBudget({
+      past: past.slice(0, -1),
+      future: [current, ...future].slice(0, limit)
+    }));
+    return past[past.length - 1];
+  }, [update, limit]);
+
+  // Step forward one change; `current` is kept so the step can be undone again
+  // Returns the snapshot to restore, or null if there is nothing to redo
+  const redo = useCallback((current) => {
+    const { past, future } = latest.current;
+    if (future.length === 0) return null;
+    update(fitToBudget({
+      past: [...past, current].slice(-limit),
+      future: future.slice(1)
+    }));
+    return future[0];
+  }, [update, limit]);
+
+  return {
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    record,
+    undo,
+    redo
+  };
+}
@@ -0,0 +1,49 @@
+import { useState, useMemo, useCallback } from 'react';
+import { getVertexKey, getVertexPosition, getNearestCellCenter } from '../utils/hexMath';
+
+/**
+ * Anchor hexagon for tools that place edges on the grid
+ *
+ * Starts on the hexagon nearest the middle of the grid until one is picked.
+ * Lattice keys mean different points in each orientation, so a picked anchor
+ * only holds for the orientation it was picked in; flipping the grid goes
+ * back to the middle.
+ *
+ * @param {Map} vertices - Grid vertex positions (pixels)
+ * @param {number} pixelSize - Pixels per point spacing
+ * @param {boolean} pointyTop - Hex orientation
+ * @returns {object} { anchorKey: lattice key of the hexagon's center,
+ *   anchorPoint: its position (pixels), placeAnchor(point) }
+ */
+export function useLatticeAnchor(vertices, pixelSize, pointyTop) {
+  // Picked anchor: { key, pointyTop } with the lattice key of the hexagon's
+  // center, null for the default
+  const [anchor, setAnchor] = useState(null);
+
+  const defaultAnchor = useMemo(() => {
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+    for (const { x, y } of vertices.values()) {
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+    const center = getNearestCellCenter((minX + maxX) / 2, (minY + maxY) / 2, pixelSize, pointyTop);
+    return getVertexKey(center.x, center.y, pixelSize, pointyTop);
+  }, [vertices, pixelSize, pointyTop]);
+
+  const anchorKey = anchor?.pointyTop === pointyTop ? anchor.key : defaultAnchor;
+
+  const anchorPoint = useMemo(() => {
+    return getVertexPosition(anchorKey, pixelSize, pointyTop);
+  }, [anchorKey, pixelSize, pointyTop]);
+
+  // Move the anchor to the hexagon nearest a point (pixels)
+  const placeAnchor = useCallback((point) => {
+    const center = getNearestCellCenter(point.x, point.y, pixelSize, pointyTop);
+    setAnchor({ key: getVertexKey(center.x, center.y, pixelSize, pointyTop), pointyTop });
+  }, [pixelSize, pointyTop]);
+
+  return { anchorKey, anchorPoint, placeAnchor };
+}
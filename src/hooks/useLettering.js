@@ -0,0 +1,77 @@
+import { useMemo, useCallback } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import { useLatticeAnchor } from './useLatticeAnchor';
+import { layoutText, DEFAULT_LETTERING } from '../utils/hexFont';
+
+const DEFAULT_SETTINGS = { ...DEFAULT_LETTERING, mode: 'add' };
+
+// Bounds for the scale and letter spacing fields, in hexagons. With no gap,
+// neighbouring glyphs share strokes and run together.
+export const TEXT_SCALE = { min: 1, max: 10 };
+export const TEXT_SPACING = { min: 1, max: 10 };
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, Math.round(value) || min));
+
+/**
+ * Text and logo lettering for the text tool (see hexFont)
+ *
+ * Works like the shape generator: the settings are persisted, the text is
+ * centered on an anchor hexagon, and applying it is a single undo step
+ * through the current mirror mode.
+ *
+ * @param {object} options
+ * @param {Map} options.vertices - Grid vertex positions (pixels)
+ * @param {Map} options.edgeIndex - Grid edges by key
+ * @param {function} options.getMirrors - Edge key -> the edge and its mirror images
+ * @param {number} options.pixelSize - Pixels per point spacing
+ * @param {boolean} options.pointyTop - Hex orientation
+ * @param {function} options.applyEdges - Merge edges into the design (see useHexGrid)
+ */
+export function useLettering({ vertices, edgeIndex, getMirrors, pixelSize, pointyTop, applyEdges }) {
+  const [lettering, setLettering] = useLocalStorage('hexlight-lettering', DEFAULT_SETTINGS);
+  const { anchorKey, anchorPoint: textAnchorPoint, placeAnchor: placeTextAnchor } =
+    useLatticeAnchor(vertices, pixelSize, pointyTop);
+
+  // Laid-out edges on the grid, characters without a glyph, and characters
+  // that run off the grid
+  const laidOut = useMemo(() => {
+    const options = {
+      scale: clamp(lettering.scale, TEXT_SCALE),
+      letterSpacing: clamp(lettering.letterSpacing, TEXT_SPACING)
+    };
+    const { characters, unsupported } = layoutText(lettering.text, options, anchorKey, pixelSize, pointyTop);
+    const edges = [];
+    const outside = [];
+    for (const { char, edges: glyphEdges } of characters) {
+      const inside = glyphEdges.filter(key => edgeIndex.has(key));
+      if (inside.length < glyphEdges.length) outside.push(char);
+      edges.push(...inside);
+    }
+    return { edges, unsupported, outside: Array.from(new Set(outside)) };
+  }, [lettering.text, lettering.scale, lettering.letterSpacing, anchorKey, pixelSize, pointyTop, edgeIndex]);
+
+  // What applying would touch: the text's edges and their mirror images
+  const textPreview = useMemo(() => {
+    const preview = new Set();
+    for (const key of laidOut.edges) {
+      for (const mirrored of getMirrors(key)) preview.add(mirrored);
+    }
+    return Array.from(preview);
+  }, [laidOut, getMirrors]);
+
+  const applyText = useCallback(() => {
+    applyEdges(laidOut.edges, lettering.mode);
+  }, [applyEdges, laidOut, lettering.mode]);
+
+  return {
+    lettering,
+    setLettering,
+    textAnchorPoint,
+    placeTextAnchor,
+    textPreview,
+    textEdgeCount: laidOut.edges.length,
+    textUnsupported: laidOut.unsupported,
+    textOutside: laidOut.outside,
+    applyText
+  };
+}
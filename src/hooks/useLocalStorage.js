@@ -1,4 +1,5 @@
 import { useState, useEffect, useCallback } from 'react';
+import { migrateDesign, upgradeDesign } from '../utils/designFile';
 
 /**
  * Custom hook for syncing state with localStorage
@@ -60,13 +61,71 @@ export function saveDesign(name, design) {
   }
 }
 
+/**
+ * Migrate the working design and undo history in localStorage to the current
+ * design schema. They aren't versioned, so the whole chain runs; every step is
+ * a no-op on data that is already current. Call once at startup, before the
+ * grid state is read.
+ */
+export function migrateStoredState() {
+  try {
+    const read = (key, fallback) => {
+      const item = localStorage.getItem(key);
+      return item ? JSON.parse(item) : fallback;
+    };
+
+    const edges = read('hexlight-edges', null);
+    if (edges) {
+      const working = upgradeDesign({
+        width: read('hexlight-width', undefined),
+        length: read('hexlight-length', undefined),
+        spacing: read('hexlight-spacing', undefined),
+        pointyTop: read('hexlight-pointytop', undefined),
+        enabledEdges: edges
+      }, 0);
+      if (working.enabledEdges !== edges) {
+        localStorage.setItem('hexlight-edges', JSON.stringify(working.enabledEdges));
+      }
+    }
+
+    const history = read('hexlight-history', null);
+    if (history) {
+      localStorage.setItem('hexlight-history', JSON.stringify({
+        past: history.past.map(snapshot => upgradeDesign(snapshot, 0)),
+        future: history.future.map(snapshot => upgradeDesign(snapshot, 0))
+      }));
+    }
+  } catch (error) {
+    console.warn('Error migrating stored design:', error);
+  }
+}
+
 /**
  * Load all saved designs from localStorage
+ * Designs saved with an older schema are migrated and written back
  * @returns {object} Object of named designs
  */
 export function loadDesigns() {
   try {
-    return JSON.parse(localStorage.getItem('hexlight-designs') || '{}');
+    const designs = JSON.parse(localStorage.getItem('hexlight-designs') || '{}');
+    let changed = false;
+    for (const [name, design] of Object.entries(designs)) {
+      let migrated;
+      try {
+        migrated = migrateDesign(design);
+      } catch (error) {
+        console.warn(`Error migrating design "${name}":`, error);
+        continue;
+      }
+      if (migrated !== design) {
+        designs[name] = migrated;
+        changed = true;
+      }
+    }
+    if (changed) {
+      localStorage.setItem('hexlight-designs', JSON.stringify(designs));
+    }
+    return designs;
   } catch (error) {
     console.warn('Error loading designs:', error);
     return {};
@@ -88,3 +147,39 @@ export function deleteDesign(name) {
     return false;
   }
 }
+
+/**
+ * Pick a name that isn't taken yet, e.g. "Lobby" -> "Lobby (2)"
+ * @param {string} name - Preferred name
+ * @param {object} designs - Existing named designs
+ * @returns {string} Unused name
+ */
+export function getUniqueDesignName(name, designs) {
+  if (!(name in designs)) return name;
+  let n = 2;
+  while (`${name} (${n})` in designs) n++;
+  return `${name} (${n})`;
+}
+
+/**
+ * Add imported designs to the saved library without overwriting existing ones
+ * Name clashes get a numbered suffix.
+ * @param {object} imported - Object of named designs (already migrated and validated)
+ * @returns {Array|null} Names the designs were saved under, or null on failure
+ */
+export function importDesigns(imported) {
+  try {
+    const designs = JSON.parse(localStorage.getItem('hexlight-designs') || '{}');
+    const names = [];
+    for (const [name, design] of Object.entries(imported)) {
+      const unique = getUniqueDesignName(name, designs);
+      designs[unique] = design;
+      names.push(unique);
+    }
+    localStorage.setItem('hexlight-designs', JSON.stringify(designs));
+    return names;
+  } catch (error) {
+    console.warn('Error importing designs:', error);
+    return null;
+  }
+}
@@ -0,0 +1,144 @@
+import { useState, useMemo, useCallback } from 'react';
+import {
+  getSelectionPivot,
+  snapOffset,
+  translateEdges,
+  rotateEdges,
+  flipEdges
+} from '../utils/selection';
+
+/**
+ * Selection and clipboard for the select tool
+ *
+ * The selection and clipboard are editor state, not part of the design, so
+ * they aren't persisted or recorded in undo history; each edit made through
+ * them is a single undo step. Edits that would push edges off the grid place
+ * the rest and report how many were left out.
+ *
+ * @param {object} options
+ * @param {Set} options.enabledEdges - Enabled edge keys (valid for the grid)
+ * @param {Map} options.edgeIndex - Grid edges by key
+ * @param {number} options.pixelSize - Pixels per point spacing
+ * @param {boolean} options.pointyTop - Hex orientation
+ * @param {function} options.setEdges - Commit a new enabled edge list as one undo step
+ */
+export function useSelection({ enabledEdges, edgeIndex, pixelSize, pointyTop, setEdges }) {
+  const [selection, setSelection] = useState([]);
+  // { edges, pivot, pointyTop } copied edges and the hexagon center they pivot on
+  const [clipboard, setClipboard] = useState(null);
+  // Message about the last selection edit: { warning, text }
+  const [selectionNotice, setSelectionNotice] = useState(null);
+
+  // Undo or other edits can disable selected edges; only enabled ones count
+  const selectedEdges = useMemo(() => {
+    return selection.filter(key => enabledEdges.has(key));
+  }, [selection, enabledEdges]);
+
+  const pivot = useMemo(() => {
+    return getSelectionPivot(selectedEdges, pixelSize, pointyTop);
+  }, [selectedEdges, pixelSize, pointyTop]);
+
+  // Replace the removed edges with the placed ones and select what was placed
+  const placeEdges = useCallback((removed, placed, verb) => {
+    const inside = placed.filter(key => edgeIndex.has(key));
+    const outside = placed.length - inside.length;
+
+    const next = new Set(enabledEdges);
+    removed.forEach(key => next.delete(key));
+    inside.forEach(key => next.add(key));
+    setEdges(Array.from(next));
+
+    setSelection(inside);
+    setSelectionNotice(outside > 0 ? {
+      warning: true,
+      text: `${outside} ${verb} segment${outside === 1 ? '' : 's'} fell outside the grid and ${outside === 1 ? 'was' : 'were'} left out.`
+    } : null);
+  }, [edgeIndex, enabledEdges, setEdges]);
+
+  const selectEdges = useCallback((edgeKeys, additive = false) => {
+    setSelection(prev => additive ? Array.from(new Set([...prev, ...edgeKeys])) : edgeKeys);
+    setSelectionNotice(null);
+  }, []);
+
+  const clearSelection = useCallback(() => {
+    setSelection([]);
+    setSelectionNotice(null);
+  }, []);
+
+  // Snap a drag offset (pixels) to the nearest lattice move of the selection
+  const snapSelectionOffset = useCallback((dx, dy) => {
+    return pivot ? snapOffset(pivot, dx, dy, pixelSize, pointyTop) : { dx: 0, dy: 0 };
+  }, [pivot, pixelSize, pointyTop]);
+
+  const copySelection = useCallback(() => {
+    if (selectedEdges.length === 0) return;
+    setClipboard({ edges: selectedEdges, pivot, pointyTop });
+    setSelectionNotice({
+      warning: false,
+      text: `Copied ${selectedEdges.length} segment${selectedEdges.length === 1 ? '' : 's'}.`
+    });
+  }, [selectedEdges, pivot, pointyTop]);
+
+  const deleteSelection = useCallback(() => {
+    if (selectedEdges.length === 0) return;
+    placeEdges(selectedEdges, [], 'deleted');
+  }, [selectedEdges, placeEdges]);
+
+  const cutSelection = useCallback(() => {
+    if (selectedEdges.length === 0) return;
+    setClipboard({ edges: selectedEdges, pivot, pointyTop });
+    placeEdges(selectedEdges, [], 'cut');
+  }, [selectedEdges, pivot, pointyTop, placeEdges]);
+
+  // Paste centred on the hexagon nearest to target (pixels), or one hexagon
+  // along from where the edges were copied
+  const pasteClipboard = useCallback((target) => {
+    if (!clipboard) return;
+    if (clipboard.pointyTop !== pointyTop) {
+      setSelectionNotice({
+        warning: true,
+        text: 'Copied segments can only be pasted into a grid with the same hex orientation.'
+      });
+      return;
+    }
+
+    const from = clipboard.pivot;
+    const { dx, dy } = target
+      ? snapOffset(from, target.x - from.x, target.y - from.y, pixelSize, pointyTop)
+      : snapOffset(from, pixelSize * 2, pixelSize / 2, pixelSize, pointyTop);
+    placeEdges([], translateEdges(clipboard.edges, dx, dy, pixelSize, pointyTop), 'pasted');
+  }, [clipboard, pointyTop, pixelSize, placeEdges]);
+
+  // Move by a snapped offset (see snapSelectionOffset)
+  const moveSelection = useCallback((dx, dy) => {
+    if (selectedEdges.length === 0 || (dx === 0 && dy === 0)) return;
+    placeEdges(selectedEdges, translateEdges(selectedEdges, dx, dy, pixelSize, pointyTop), 'moved');
+  }, [selectedEdges, pixelSize, pointyTop, placeEdges]);
+
+  // Rotate by 60° steps (positive is clockwise)
+  const rotateSelection = useCallback((steps) => {
+    if (selectedEdges.length === 0) return;
+    placeEdges(selectedEdges, rotateEdges(selectedEdges, steps, pivot, pixelSize, pointyTop), 'rotated');
+  }, [selectedEdges, pivot, pixelSize, pointyTop, placeEdges]);
+
+  const flipSelection = useCallback((horizontal) => {
+    if (selectedEdges.length === 0) return;
+    placeEdges(selectedEdges, flipEdges(selectedEdges, horizontal, pivot, pixelSize, pointyTop), 'flipped');
+  }, [selectedEdges, pivot, pixelSize, pointyTop, placeEdges]);
+
+  return {
+    selectedEdges,
+    selectionNotice,
+    hasClipboard: clipboard !== null,
+    selectEdges,
+    clearSelection,
+    snapSelectionOffset,
+    copySelection,
+    cutSelection,
+    pasteClipboard,
+    deleteSelection,
+    moveSelection,
+    rotateSelection,
+    flipSelection
+  };
+}
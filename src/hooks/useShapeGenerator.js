@@ -0,0 +1,60 @@
+import { useMemo, useCallback } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import { useLatticeAnchor } from './useLatticeAnchor';
+import { generateShape, SHAPES } from '../utils/shapes';
+
+const DEFAULT_GENERATOR = { shape: 'ring', size: 2, mode: 'add' };
+
+/**
+ * Parametric shapes for the generate tool
+ *
+ * The shape, size and mode are persisted; the anchor is editor state and
+ * starts on the hexagon nearest the middle of the grid. Applying a shape is a
+ * single undo step through the current mirror mode.
+ *
+ * @param {object} options
+ * @param {Map} options.vertices - Grid vertex positions (pixels)
+ * @param {Map} options.edgeIndex - Grid edges by key
+ * @param {function} options.getMirrors - Edge key -> the edge and its mirror images
+ * @param {number} options.pixelSize - Pixels per point spacing
+ * @param {boolean} options.pointyTop - Hex orientation
+ * @param {function} options.applyEdges - Merge edges into the design (see useHexGrid)
+ */
+export function useShapeGenerator({ vertices, edgeIndex, getMirrors, pixelSize, pointyTop, applyEdges }) {
+  const [generator, setGenerator] = useLocalStorage('hexlight-generator', DEFAULT_GENERATOR);
+  const { anchorKey: shapeAnchor, anchorPoint: shapeAnchorPoint, placeAnchor: placeShapeAnchor } =
+    useLatticeAnchor(vertices, pixelSize, pointyTop);
+
+  // Generated edges on the grid, and how many fell outside it
+  const generated = useMemo(() => {
+    const shape = SHAPES.find(option => option.value === generator.shape) ?? SHAPES[0];
+    const size = Math.min(shape.max, Math.max(shape.min, generator.size));
+    const edges = generateShape(shape.value, size, shapeAnchor, pixelSize, pointyTop);
+    const inside = edges.filter(key => edgeIndex.has(key));
+    return { edges: inside, outside: edges.length - inside.length };
+  }, [generator.shape, generator.size, shapeAnchor, pixelSize, pointyTop, edgeIndex]);
+
+  // What applying would touch: the generated edges and their mirror images
+  const shapePreview = useMemo(() => {
+    const preview = new Set();
+    for (const key of generated.edges) {
+      for (const mirrored of getMirrors(key)) preview.add(mirrored);
+    }
+    return Array.from(preview);
+  }, [generated, getMirrors]);
+
+  const applyShape = useCallback(() => {
+    applyEdges(generated.edges, generator.mode);
+  }, [applyEdges, generated, generator.mode]);
+
+  return {
+    generator,
+    setGenerator,
+    shapeAnchorPoint,
+    placeShapeAnchor,
+    shapePreview,
+    shapeEdgeCount: generated.edges.length,
+    shapeOutsideCount: generated.outside,
+    applyShape
+  };
+}
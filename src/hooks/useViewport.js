@@ -0,0 +1,96 @@
+import { useState, useCallback } from 'react';
+
+// Closest zoom: this many pixels of grid (one point spacing is 30) across the view
+const MIN_VIEW_WIDTH = 90;
+
+// Furthest zoom, as a multiple of the whole grid
+const MAX_ZOOM_OUT = 2;
+
+/**
+ * Zoom and pan state of the grid view
+ *
+ * The view is a viewBox rectangle (grid pixels). It always keeps the aspect
+ * ratio of the full grid's viewBox so the SVG element never changes shape;
+ * only what it shows does. The view isn't persisted, and resets to the whole
+ * grid whenever the grid itself changes.
+ *
+ * @param {object} viewBox - Full grid viewBox { minX, minY, width, height }
+ */
+export function useViewport(viewBox) {
+  // View rectangle and the grid viewBox it was set against; null is the whole grid
+  const [state, setState] = useState({ base: viewBox, view: null });
+  const view = state.base === viewBox && state.view ? state.view : viewBox;
+
+  const setView = useCallback((update) => {
+    setState(prev => {
+      const current = prev.base === viewBox && prev.view ? prev.view : viewBox;
+      const next = update(current);
+      return { base: viewBox, view: next };
+    });
+  }, [viewBox]);
+
+  // Zoom by a factor (> 1 zooms in), keeping point (grid pixels) where it is on screen
+  const zoomAt = useCallback((factor, point) => {
+    setView(current => {
+      const width = Math.min(viewBox.width * MAX_ZOOM_OUT, Math.max(MIN_VIEW_WIDTH, current.width / factor));
+      const scale = width / current.width;
+      return {
+        minX: point.x - (point.x - current.minX) * scale,
+        minY: point.y - (point.y - current.minY) * scale,
+        width,
+        height: current.height * scale
+      };
+    });
+  }, [setView, viewBox]);
+
+  // Zoom about the middle of the view
+  const zoomBy = useCallback((factor) => {
+    zoomAt(factor, { x: view.minX + view.width / 2, y: view.minY + view.height / 2 });
+  }, [zoomAt, view]);
+
+  const panBy = useCallback((dx, dy) => {
+    setView(current => ({ ...current, minX: current.minX + dx, minY: current.minY + dy }));
+  }, [setView]);
+
+  // Center the view on a point without changing the zoom
+  const centerOn = useCallback((point) => {
+    setView(current => ({
+      ...current,
+      minX: point.x - current.width / 2,
+      minY: point.y - current.height / 2
+    }));
+  }, [setView]);
+
+  // Show a rectangle (grid pixels) with a margin, as large as the view allows
+  const fitTo = useCallback((rect, padding = 0) => {
+    const aspect = viewBox.width / viewBox.height;
+    let width = Math.max(MIN_VIEW_WIDTH, rect.width + padding * 2);
+    let height = rect.height + padding * 2;
+    if (width / height < aspect) width = height * aspect;
+    else height = width / aspect;
+    setState({
+      base: viewBox,
+      view: {
+        minX: rect.x + rect.width / 2 - width / 2,
+        minY: rect.y + rect.height / 2 - height / 2,
+        width,
+        height
+      }
+    });
+  }, [viewBox]);
+
+  const fitGrid = useCallback(() => {
+    setState({ base: viewBox, view: null });
+  }, [viewBox]);
+
+  return {
+    view,
+    zoom: viewBox.width / view.width,
+    zoomAt,
+    zoomBy,
+    panBy,
+    centerOn,
+    fitTo,
+    fitGrid
+  };
+}
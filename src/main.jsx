@@ -2,6 +2,10 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { migrateStoredState } from './hooks/useLocalStorage'
+
+// Upgrade designs saved with older edge key formats before the grid reads them
+migrateStoredState()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
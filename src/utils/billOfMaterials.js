@@ -0,0 +1,148 @@
+/**
+ * Bill of materials and cut list
+ *
+ * Breaks joints down by physical connector type. On a hex lattice every joint
+ * is one of three connectors, each of which can sit in several orientations:
+ * - I end cap: one segment (dead end), 6 orientations
+ * - V 120° corner: two segments, 6 orientations (3 mirrored pairs)
+ * - Y three-way: three segments, 2 orientations (mirror images of each other)
+ * Pointy-top and flat-top grids use different orientation sets.
+ * All lengths are in inches.
+ */
+
+import { getDirectionName, snapAngle } from './hexMath';
+import { toCsv } from './download';
+
+const INCH_TO_CM = 2.54;
+
+// Default spare allowance (percent) added to order quantities
+export const DEFAULT_BOM_SPARES = { segments: 10, connectors: 10 };
+
+export const CONNECTOR_TYPES = [
+  { type: 'I', label: 'I end cap' },
+  { type: 'V', label: 'V 120° corner' },
+  { type: 'Y', label: 'Y three-way' }
+];
+
+/**
+ * Describe the orientation of a connector from its segment directions
+ * I: the direction the segment leaves in
+ * V: the direction the corner opens towards (bisector of its two segments)
+ * Y: which of the two mirror-image forms it is, named by its up/down arm
+ *    (pointy-top) or left/right arm (flat-top)
+ */
+function getConnectorOrientation(directions, pointyTop) {
+  if (directions.length === 1) {
+    return getDirectionName(directions[0].dx, directions[0].dy);
+  }
+
+  if (directions.length === 2) {
+    const dx = directions[0].dx + directions[1].dx;
+    const dy = directions[0].dy + directions[1].dy;
+    return `opens ${getDirectionName(dx, dy)}`;
+  }
+
+  const angles = directions.map(d => snapAngle(d.dx, d.dy));
+  if (pointyTop) {
+    return angles.includes(90) ? 'arm up' : 'arm down';
+  }
+  return angles.includes(0) ? 'arm right' : 'arm left';
+}
+
+/**
+ * Add a spare allowance to a quantity, rounding up to whole parts
+ */
+function withSpares(count, percent) {
+  return Math.ceil(count * (1 + (percent || 0) / 100));
+}
+
+/**
+ * Calculate the bill of materials for the enabled edges
+ * @param {Set} enabledEdges - Enabled edge keys
+ * @param {Array} allEdges - All grid edges
+ * @param {Map} vertices - Vertex positions
+ * @param {number} spacing - Point spacing (segment length) in inches
+ * @param {boolean} pointyTop - Hex orientation
+ * @param {object} spares - Spare percentages { segments, connectors }
+ * @returns {object} { segments, linearLength, connectors }
+ */
+export function calculateBillOfMaterials(enabledEdges, allEdges, vertices, spacing, pointyTop, spares) {
+  // Unit direction of every enabled segment leaving each joint
+  const directionsByVertex = new Map();
+  const addDirection = (fromKey, toKey) => {
+    const from = vertices.get(fromKey);
+    const to = vertices.get(toKey);
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    if (!directionsByVertex.has(fromKey)) directionsByVertex.set(fromKey, []);
+    directionsByVertex.get(fromKey).push({ dx: (to.x - from.x) / length, dy: (to.y - from.y) / length });
+  };
+
+  let segmentCount = 0;
+  for (const edge of allEdges) {
+    if (enabledEdges.has(edge.key)) {
+      segmentCount++;
+      addDirection(edge.v1, edge.v2);
+      addDirection(edge.v2, edge.v1);
+    }
+  }
+
+  // Count connectors per type and orientation
+  const orientationCounts = { I: new Map(), V: new Map(), Y: new Map() };
+  for (const directions of directionsByVertex.values()) {
+    const type = directions.length === 1 ? 'I' : directions.length === 2 ? 'V' : 'Y';
+    const orientation = getConnectorOrientation(directions, pointyTop);
+    const counts = orientationCounts[type];
+    counts.set(orientation, (counts.get(orientation) || 0) + 1);
+  }
+
+  const connectors = CONNECTOR_TYPES.map(({ type, label }) => {
+    const orientations = Array.from(orientationCounts[type], ([orientation, count]) => ({ orientation, count }))
+      .sort((a, b) => a.orientation.localeCompare(b.orientation));
+    const count = orientations.reduce((sum, o) => sum + o.count, 0);
+    return {
+      type,
+      label,
+      count,
+      order: withSpares(count, spares.connectors),
+      orientations
+    };
+  });
+
+  return {
+    segments: {
+      count: segmentCount,
+      length: spacing,
+      order: withSpares(segmentCount, spares.segments)
+    },
+    linearLength: segmentCount * spacing,
+    connectors
+  };
+}
+
+/**
+ * Generate a CSV cut list / order sheet from a bill of materials
+ * Connector totals are followed by one row per orientation
+ * @param {object} bom - Output of calculateBillOfMaterials
+ * @param {object} spares - Spare percentages { segments, connectors }
+ * @param {string} units - 'in' or 'cm' for lengths
+ * @returns {string} CSV content
+ */
+export function generateBomCsv(bom, spares, units) {
+  const unitScale = units === 'cm' ? INCH_TO_CM : 1;
+  const unitLabel = units === 'cm' ? 'cm' : 'in';
+  const length = (inches) => (inches * unitScale).toFixed(1);
+
+  const rows = [
+    ['Part', 'Orientation', 'Quantity', 'Spare %', 'Order Quantity', `Unit Length (${unitLabel})`, `Total Length (${unitLabel})`],
+    ['Segment', '', bom.segments.count, spares.segments, bom.segments.order, length(bom.segments.length), length(bom.linearLength)]
+  ];
+
+  for (const connector of bom.connectors) {
+    rows.push([connector.label, 'all', connector.count, spares.connectors, connector.order, '', '']);
+    for (const { orientation, count } of connector.orientations) {
+      rows.push([connector.label, orientation, count, '', '', '', '']);
+    }
+  }
+
+  return toCsv(rows);
+}
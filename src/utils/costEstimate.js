@@ -0,0 +1,69 @@
+/**
+ * Cost estimator
+ *
+ * Prices the bill of materials against an editable price list. Parts are
+ * priced at their order quantities (including spares); labour is charged per
+ * installed joint.
+ */
+
+export const DEFAULT_PRICE_LIST = {
+  currency: '$',
+  segment: 0,
+  connectorI: 0,
+  connectorV: 0,
+  connectorY: 0,
+  powerSupply: 0,
+  cablePerMetre: 0,
+  labourPerJoint: 0
+};
+
+// Editable price list fields, in display order
+export const PRICE_FIELDS = [
+  { key: 'segment', label: 'Per segment' },
+  { key: 'connectorI', label: 'Per I end cap' },
+  { key: 'connectorV', label: 'Per V corner' },
+  { key: 'connectorY', label: 'Per Y three-way' },
+  { key: 'powerSupply', label: 'Per power supply' },
+  { key: 'cablePerMetre', label: 'Cable per metre' },
+  { key: 'labourPerJoint', label: 'Labour per joint' }
+];
+
+/**
+ * Format an amount with the price list's currency symbol
+ */
+export function formatCost(amount, currency) {
+  return `${currency}${amount.toFixed(2)}`;
+}
+
+/**
+ * Calculate an itemized cost estimate
+ * @param {object} bom - Output of calculateBillOfMaterials
+ * @param {object} priceList - Unit prices (see DEFAULT_PRICE_LIST)
+ * @param {number} powerSupplies - Number of power supplies
+ * @param {number} cableMetres - Length of power/data cable in metres
+ * @returns {object} { items: [{ label, quantity, unitPrice, total }], total }
+ */
+export function calculateCost(bom, priceList, powerSupplies, cableMetres) {
+  const prices = { ...DEFAULT_PRICE_LIST, ...priceList };
+  const connector = (type) => bom.connectors.find(c => c.type === type);
+  const joints = bom.connectors.reduce((sum, c) => sum + c.count, 0);
+
+  const lines = [
+    { label: 'Segments', quantity: bom.segments.order, unitPrice: prices.segment },
+    { label: 'I end caps', quantity: connector('I').order, unitPrice: prices.connectorI },
+    { label: 'V corners', quantity: connector('V').order, unitPrice: prices.connectorV },
+    { label: 'Y three-ways', quantity: connector('Y').order, unitPrice: prices.connectorY },
+    { label: 'Power supplies', quantity: powerSupplies, unitPrice: prices.powerSupply },
+    { label: 'Cable (m)', quantity: cableMetres, unitPrice: prices.cablePerMetre },
+    { label: 'Labour (joints)', quantity: joints, unitPrice: prices.labourPerJoint }
+  ];
+
+  const items = lines
+    .filter(line => line.quantity > 0)
+    .map(line => ({ ...line, total: line.quantity * line.unitPrice }));
+
+  return {
+    items,
+    total: items.reduce((sum, item) => sum + item.total, 0)
+  };
+}
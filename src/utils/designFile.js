@@ -0,0 +1,241 @@
+/**
+ * Design files (.hexlight.json) and the design schema migration chain
+ *
+ * Every design carries the schema version it was written with. Older designs
+ * are brought up to date by running each migration step in turn, so a step
+ * only ever has to understand the version directly before it. Designs saved
+ * before versioning existed have no version and are treated as version 0.
+ *
+ * Schema history:
+ * - 0: grid size saved as widthInches/lengthInches/pointSpacing, edge keys
+ *      built from sequential vertex indices, pointyTop optional
+ * - 1: grid size saved as width/length/spacing, pointyTop always present
+ * - 2: edge keys built from lattice coordinates ("i,j|i,j")
+ */
+import { migrateLegacyEdgeKeys, DEFAULT_POINT_SPACING } from './hexMath';
+
+export const DESIGN_SCHEMA_VERSION = 2;
+
+export const DESIGN_FILE_EXTENSION = 'hexlight.json';
+
+const FILE_FORMAT = 'hexlight';
+
+/**
+ * Error for design files that can't be imported; the message is shown to the user
+ */
+export class DesignFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DesignFileError';
+  }
+}
+
+// migrations[n] upgrades a design from version n to version n + 1
+const migrations = [
+  // 0 -> 1: rename the grid size properties; the earliest designs predate
+  // flat-top grids and have no orientation
+  (design) => {
+    const { widthInches, lengthInches, pointSpacing, ...rest } = design;
+    return {
+      ...rest,
+      width: design.width ?? widthInches,
+      length: design.length ?? lengthInches,
+      spacing: design.spacing ?? pointSpacing,
+      pointyTop: design.pointyTop ?? true
+    };
+  },
+  // 1 -> 2: sequential vertex indices to lattice coordinate edge keys,
+  // rebuilt against the grid the design was saved on
+  (design) => {
+    if (!Array.isArray(design.enabledEdges)) return design;
+    const enabledEdges = migrateLegacyEdgeKeys(
+      design.enabledEdges,
+      design.width ?? 120,
+      design.length ?? 96,
+      design.spacing ?? DEFAULT_POINT_SPACING,
+      design.pointyTop
+    );
+    return { ...design, enabledEdges };
+  }
+];
+
+/**
+ * Run the migration chain from a given version up to the current one
+ * Works on saved designs and on undo history snapshots alike. Properties a
+ * step doesn't know about are passed through untouched.
+ * @param {object} design - Design data (version property is ignored)
+ * @param {number} fromVersion - Schema version the data was written with
+ * @returns {object} Upgraded design, without a version property
+ */
+export function upgradeDesign(design, fromVersion) {
+  if (fromVersion > DESIGN_SCHEMA_VERSION) {
+    throw new DesignFileError(
+      `This design uses schema version ${fromVersion}, but this copy of HexLight only ` +
+      `understands up to version ${DESIGN_SCHEMA_VERSION}. Update HexLight to open it.`
+    );
+  }
+
+  let upgraded = design;
+  for (let version = fromVersion; version < DESIGN_SCHEMA_VERSION; version++) {
+    upgraded = migrations[version](upgraded);
+  }
+  return upgraded;
+}
+
+/**
+ * Bring a design up to the current schema version
+ * @param {object} design - Design data, with or without a version property
+ * @returns {object} The design stamped with the current version (same object if already current)
+ */
+export function migrateDesign(design) {
+  const version = design.version ?? 0;
+  if (version === DESIGN_SCHEMA_VERSION) return design;
+  const { version: _version, ...rest } = design;
+  return { ...upgradeDesign(rest, version), version: DESIGN_SCHEMA_VERSION };
+}
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Grid size ranges the Controls inputs allow, in inches. Sizes entered in cm
+// convert to slightly outside the round inch figures (15 cm is 5.91 in), so
+// they are checked with a little slack. Anything far larger would make the
+// grid too big to generate.
+const GRID_LIMITS = {
+  width: { min: 24, max: 600, label: 'width' },
+  length: { min: 24, max: 600, label: 'length' },
+  spacing: { min: 6, max: 48, label: 'point spacing' }
+};
+const LIMIT_SLACK = 0.02;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const EDGE_KEY_PATTERN = /^-?\d+,-?\d+\|-?\d+,-?\d+$/;
+const VERTEX_KEY_PATTERN = /^-?\d+,-?\d+$/;
+
+/**
+ * Check that a current-version design has the shape the editor expects
+ * @param {object} design - Migrated design
+ * @param {string} name - Design name, used in error messages
+ * @throws {DesignFileError} Describing the first problem found
+ */
+export function validateDesign(design, name) {
+  const fail = (problem) => {
+    throw new DesignFileError(`Design "${name}" ${problem}.`);
+  };
+
+  if (!isPlainObject(design)) fail('is not an object');
+  for (const [field, { min, max, label }] of Object.entries(GRID_LIMITS)) {
+    if (!isPositiveNumber(design[field])) fail(`has no valid ${label}`);
+    if (design[field] < min * (1 - LIMIT_SLACK) || design[field] > max * (1 + LIMIT_SLACK)) {
+      fail(`has a ${label} of ${design[field]} in, outside the ${min}–${max} in range`);
+    }
+  }
+  if (typeof design.pointyTop !== 'boolean') fail('has no hex orientation (pointyTop)');
+  if (!Array.isArray(design.enabledEdges)) fail('has no edge list (enabledEdges)');
+
+  const badEdge = design.enabledEdges.find(key => typeof key !== 'string' || !EDGE_KEY_PATTERN.test(key));
+  if (badEdge !== undefined) fail(`has an invalid edge key: ${JSON.stringify(badEdge)}`);
+
+  if (design.mirrorMode !== undefined && typeof design.mirrorMode !== 'string') fail('has an invalid mirror mode');
+  for (const field of ['maxSegments', 'maxJoints2', 'maxJoints3', 'cableMetres']) {
+    if (design[field] !== undefined && !(typeof design[field] === 'number' && design[field] >= 0)) {
+      fail(`has an invalid ${field}`);
+    }
+  }
+  for (const field of ['priceList', 'effect']) {
+    if (design[field] !== undefined && !isPlainObject(design[field])) fail(`has an invalid ${field}`);
+  }
+  if (design.powerFeeds !== undefined &&
+    !(Array.isArray(design.powerFeeds) && design.powerFeeds.every(key => VERTEX_KEY_PATTERN.test(key)))) {
+    fail('has invalid power feed points');
+  }
+  if (design.wiringStart != null && !VERTEX_KEY_PATTERN.test(design.wiringStart)) {
+    fail('has an invalid wiring start joint');
+  }
+  if (design.mirrorAxes != null) {
+    const { x, y, center } = design.mirrorAxes;
+    if (!isPlainObject(design.mirrorAxes) ||
+      (x != null && !Number.isInteger(x)) ||
+      (y != null && !Number.isInteger(y)) ||
+      (center != null && !VERTEX_KEY_PATTERN.test(center))) {
+      fail('has invalid mirror axis positions');
+    }
+  }
+}
+
+/**
+ * Serialize designs to .hexlight.json file content
+ * @param {object} designs - Object of named designs
+ * @param {string} kind - 'design' (a single design) or 'library'
+ * @returns {string} File content
+ */
+export function createDesignFile(designs, kind) {
+  const stamped = Object.fromEntries(
+    Object.entries(designs).map(([name, design]) => [name, migrateDesign(design)])
+  );
+  return JSON.stringify({
+    format: FILE_FORMAT,
+    version: DESIGN_SCHEMA_VERSION,
+    kind,
+    exportedAt: new Date().toISOString(),
+    designs: stamped
+  }, null, 2) + '\n';
+}
+
+/**
+ * Parse, migrate and validate .hexlight.json file content
+ * A bare design object (as stored in localStorage) is accepted too.
+ * @param {string} text - File content
+ * @param {string} fallbackName - Name for a bare design (usually the file name)
+ * @returns {object} { kind, designs } with every design at the current version
+ * @throws {DesignFileError} If the file is malformed, from a newer version or invalid
+ */
+export function parseDesignFile(text, fallbackName) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new DesignFileError('This file is not valid JSON, so it can\'t be a HexLight design.');
+  }
+  if (!isPlainObject(data)) {
+    throw new DesignFileError('This file doesn\'t contain a HexLight design.');
+  }
+
+  let kind;
+  let entries;
+  if (data.format === undefined && Array.isArray(data.enabledEdges)) {
+    kind = 'design';
+    entries = [[fallbackName, data]];
+  } else {
+    if (data.format !== FILE_FORMAT) {
+      throw new DesignFileError('This file isn\'t a HexLight design file.');
+    }
+    if (!Number.isInteger(data.version) || data.version < 0) {
+      throw new DesignFileError('This design file has no valid schema version.');
+    }
+    if (data.version > DESIGN_SCHEMA_VERSION) {
+      throw new DesignFileError(
+        `This file was saved by a newer version of HexLight (schema version ${data.version}). ` +
+        `This copy only understands up to version ${DESIGN_SCHEMA_VERSION}; update HexLight to open it.`
+      );
+    }
+    if (!isPlainObject(data.designs) || Object.keys(data.designs).length === 0) {
+      throw new DesignFileError('This design file doesn\'t contain any designs.');
+    }
+    kind = data.kind === 'library' ? 'library' : 'design';
+    entries = Object.entries(data.designs).map(([name, design]) => [
+      name,
+      isPlainObject(design) ? { ...design, version: design.version ?? data.version } : design
+    ]);
+  }
+
+  const designs = {};
+  for (const [name, design] of entries) {
+    if (!isPlainObject(design)) {
+      throw new DesignFileError(`Design "${name}" is not an object.`);
+    }
+    const migrated = migrateDesign(design);
+    validateDesign(migrated, name);
+    designs[name] = migrated;
+  }
+
+  return { kind, designs };
+}
@@ -0,0 +1,43 @@
+/**
+ * File download helpers
+ */
+
+/**
+ * Turn a design name into a safe file name, e.g. "Lobby Wall #2" -> "lobby-wall-2.svg"
+ */
+export function toFileName(name, extension) {
+  const base = name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${base || 'design'}.${extension}`;
+}
+
+// Quote a CSV field if it contains separators or quotes
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Join rows of values into CSV text
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Trigger a browser download of text content
+ */
+export function downloadFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,143 @@
+/**
+ * LED effect engine for the animated preview
+ *
+ * Each enabled segment is treated as a strip of LEDs (see getLedPositions).
+ * An effect maps an LED's position, its index along the wiring chain and the
+ * time in seconds to a colour. Everything here is pure so effects can be
+ * rendered at any frame rate.
+ */
+
+export const DEFAULT_EFFECT = {
+  enabled: false,
+  effect: 'rainbow-x',
+  palette: 'rainbow',
+  color: '#4fc3f7',
+  speed: 1,
+  brightness: 100
+};
+
+export const EFFECTS = [
+  { value: 'solid', label: 'Solid colour' },
+  { value: 'rainbow-x', label: 'Rainbow sweep (x)' },
+  { value: 'rainbow-y', label: 'Rainbow sweep (y)' },
+  { value: 'chase', label: 'Chase (wiring order)' },
+  { value: 'breathe', label: 'Breathing' },
+  { value: 'ripple', label: 'Radial ripple' },
+  { value: 'sparkle', label: 'Random sparkle' }
+];
+
+// Palettes are sampled cyclically, blending between neighbouring colours
+export const PALETTES = {
+  rainbow: ['#ff0000', '#ffff00', '#00ff00', '#00ffff', '#0000ff', '#ff00ff'],
+  fire: ['#ff2000', '#ff8000', '#ffd000', '#ff4000'],
+  ocean: ['#001040', '#0060c0', '#00c0ff', '#40ffe0'],
+  forest: ['#004010', '#20a020', '#a0e040', '#206020'],
+  party: ['#ff0080', '#8000ff', '#00c0ff', '#ffe000']
+};
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+const PALETTE_RGB = Object.fromEntries(
+  Object.entries(PALETTES).map(([name, colors]) => [name, colors.map(hexToRgb)])
+);
+
+// Sample a palette at position t (wraps around at 1)
+function samplePalette(name, t) {
+  const colors = PALETTE_RGB[name] || PALETTE_RGB.rainbow;
+  const scaled = (((t % 1) + 1) % 1) * colors.length;
+  const i = Math.floor(scaled);
+  const f = scaled - i;
+  const a = colors[i % colors.length];
+  const b = colors[(i + 1) % colors.length];
+  return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f];
+}
+
+// Stable pseudo-random number in [0, 1) for an LED index
+function hashIndex(index) {
+  const x = Math.sin(index * 12.9898 + 78.233) * 43758.5453;
+  return x - Math.floor(x);
+}
+
+/**
+ * Precompute per-LED values an effect needs: normalized x/y, normalized
+ * distance from the ripple center, and position along the chain
+ * @param {Array} leds - LED positions in wiring order ({ x, y } pixels)
+ * @param {object} center - Ripple center ({ x, y } pixels)
+ * @returns {Array} [{ nx, ny, distance, chain, seed }]
+ */
+export function prepareLeds(leds, center) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (const led of leds) {
+    minX = Math.min(minX, led.x);
+    maxX = Math.max(maxX, led.x);
+    minY = Math.min(minY, led.y);
+    maxY = Math.max(maxY, led.y);
+  }
+
+  const width = maxX - minX || 1;
+  const height = maxY - minY || 1;
+  const maxDistance = leds.reduce((max, led) => Math.max(max, Math.hypot(led.x - center.x, led.y - center.y)), 0) || 1;
+
+  return leds.map((led, index) => ({
+    nx: (led.x - minX) / width,
+    ny: (led.y - minY) / height,
+    distance: Math.hypot(led.x - center.x, led.y - center.y) / maxDistance,
+    chain: index / leds.length,
+    seed: hashIndex(index)
+  }));
+}
+
+/**
+ * Colour of one LED at a moment in time
+ * @param {object} led - Entry from prepareLeds
+ * @param {number} time - Seconds since the animation started
+ * @param {object} settings - Effect settings (see DEFAULT_EFFECT)
+ * @returns {string} CSS rgb() colour
+ */
+export function getEffectColor(led, time, settings) {
+  const { effect, palette, color, speed, brightness } = { ...DEFAULT_EFFECT, ...settings };
+  const t = time * speed;
+  let rgb;
+  let level = 1;
+
+  switch (effect) {
+    case 'solid':
+      rgb = hexToRgb(color);
+      break;
+    case 'rainbow-x':
+      rgb = samplePalette(palette, led.nx - t * 0.25);
+      break;
+    case 'rainbow-y':
+      rgb = samplePalette(palette, led.ny - t * 0.25);
+      break;
+    case 'chase': {
+      // A bright head with a fading tail travelling along the chain
+      const head = (t * 0.2) % 1;
+      const behind = (((head - led.chain) % 1) + 1) % 1;
+      rgb = samplePalette(palette, led.chain);
+      level = Math.max(0.03, Math.exp(-behind * 12));
+      break;
+    }
+    case 'breathe':
+      rgb = samplePalette(palette, t * 0.05);
+      level = 0.1 + 0.9 * (Math.sin(t * 2) + 1) / 2;
+      break;
+    case 'ripple':
+      rgb = samplePalette(palette, led.distance);
+      level = 0.1 + 0.9 * (Math.sin((led.distance * 4 - t) * Math.PI * 2) + 1) / 2;
+      break;
+    case 'sparkle':
+      // Each LED flashes briefly at its own random rate and phase
+      rgb = samplePalette(palette, led.seed);
+      level = Math.max(0.03, Math.pow(Math.max(0, Math.sin(t * (1 + led.seed * 3) + led.seed * 100)), 40));
+      break;
+    default:
+      rgb = hexToRgb(color);
+  }
+
+  const scale = level * (brightness / 100);
+  return `rgb(${Math.round(rgb[0] * scale)}, ${Math.round(rgb[1] * scale)}, ${Math.round(rgb[2] * scale)})`;
+}
@@ -0,0 +1,134 @@
+/**
+ * DXF (R12 ASCII) export of a design for CNC, laser cutting and CAD
+ *
+ * Segments are written as LINE entities on the SEGMENTS layer. Each joint is
+ * written to the JOINTS layer as a POINT plus a CIRCLE of the mounting hole
+ * diameter, so backplates can be drilled straight from the file.
+ * Coordinates are real-world (inches or millimetres), measured from the
+ * lower-left corner of the design with Y pointing up as CAD expects.
+ */
+
+const INCH_TO_MM = 25.4;
+
+// Mounting hole diameter drawn at each joint (inches)
+export const DEFAULT_HOLE_DIAMETER = 0.25;
+
+const LAYERS = [
+  { name: 'SEGMENTS', color: 5 }, // blue
+  { name: 'JOINTS', color: 1 }    // red
+];
+
+// Round coordinates to a sensible precision for fabrication
+function fmt(value) {
+  return String(Math.round(value * 10000) / 10000);
+}
+
+/**
+ * Generate a DXF document for the enabled part of a design
+ * @param {object} options
+ * @param {Map} options.vertices - Vertex positions (pixels)
+ * @param {Array} options.allEdges - All grid edges
+ * @param {Set} options.enabledEdges - Enabled edge keys
+ * @param {number} options.spacing - Point spacing (inches)
+ * @param {number} options.pixelSize - Pixels per point spacing
+ * @param {string} options.units - 'in' for inches, 'mm' for millimetres
+ * @param {number} options.holeDiameter - Mounting hole diameter (inches)
+ * @returns {string} DXF file content
+ */
+export function generateDxf({
+  vertices,
+  allEdges,
+  enabledEdges,
+  spacing,
+  pixelSize,
+  units = 'in',
+  holeDiameter = DEFAULT_HOLE_DIAMETER
+}) {
+  const unitScale = units === 'mm' ? INCH_TO_MM : 1;
+  // Convert from internal pixels via point spacing, not the render scale
+  const toUnits = (pixels) => (pixels / pixelSize) * spacing * unitScale;
+
+  const enabled = allEdges.filter(edge => enabledEdges.has(edge.key));
+
+  // Joint vertices and the design's extent (pixels)
+  const joints = new Set();
+  let minX = Infinity, maxY = -Infinity;
+  for (const edge of enabled) {
+    for (const key of [edge.v1, edge.v2]) {
+      const v = vertices.get(key);
+      joints.add(key);
+      minX = Math.min(minX, v.x);
+      maxY = Math.max(maxY, v.y);
+    }
+  }
+
+  const x = (v) => toUnits(v.x - minX);
+  const y = (v) => toUnits(maxY - v.y);
+
+  // Each DXF item is a group code line followed by a value line
+  const out = [];
+  const group = (code, value) => out.push(String(code), String(value));
+
+  // Header: R12. $INSUNITS is R2000 and later, so the drawing's units are
+  // only given as imperial or metric ($MEASUREMENT) for importers that honour it
+  group(0, 'SECTION');
+  group(2, 'HEADER');
+  group(9, '$ACADVER');
+  group(1, 'AC1009');
+  group(9, '$MEASUREMENT');
+  group(70, units === 'mm' ? 1 : 0);
+  group(0, 'ENDSEC');
+
+  // Layer table
+  group(0, 'SECTION');
+  group(2, 'TABLES');
+  group(0, 'TABLE');
+  group(2, 'LAYER');
+  group(70, LAYERS.length);
+  for (const layer of LAYERS) {
+    group(0, 'LAYER');
+    group(2, layer.name);
+    group(70, 0);
+    group(62, layer.color);
+    group(6, 'CONTINUOUS');
+  }
+  group(0, 'ENDTAB');
+  group(0, 'ENDSEC');
+
+  group(0, 'SECTION');
+  group(2, 'ENTITIES');
+
+  for (const edge of enabled) {
+    const v1 = vertices.get(edge.v1);
+    const v2 = vertices.get(edge.v2);
+    group(0, 'LINE');
+    group(8, 'SEGMENTS');
+    group(10, fmt(x(v1)));
+    group(20, fmt(y(v1)));
+    group(30, 0);
+    group(11, fmt(x(v2)));
+    group(21, fmt(y(v2)));
+    group(31, 0);
+  }
+
+  const holeRadius = (holeDiameter * unitScale) / 2;
+  for (const key of joints) {
+    const v = vertices.get(key);
+    group(0, 'POINT');
+    group(8, 'JOINTS');
+    group(10, fmt(x(v)));
+    group(20, fmt(y(v)));
+    group(30, 0);
+    group(0, 'CIRCLE');
+    group(8, 'JOINTS');
+    group(10, fmt(x(v)));
+    group(20, fmt(y(v)));
+    group(30, 0);
+    group(40, fmt(holeRadius));
+  }
+
+  group(0, 'ENDSEC');
+  group(0, 'EOF');
+
+  return out.join('\n') + '\n';
+}
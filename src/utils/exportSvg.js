@@ -0,0 +1,175 @@
+/**
+ * Standalone SVG export of a design in real-world units
+ *
+ * Only enabled segments and their joints are drawn (as in preview mode).
+ * One SVG user unit equals one inch or one centimetre, and the root element's
+ * width/height carry the unit so the file prints and imports at true size.
+ */
+
+const INCH_TO_CM = 2.54;
+
+// Print-friendly colours (light theme)
+const COLORS = {
+  segment: '#0288d1',
+  joint1: '#d32f2f',
+  joint2: '#0288d1',
+  joint3: '#388e3c',
+  annotation: '#555555',
+  text: '#1a1a1a'
+};
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Round coordinates so the file stays readable
+function fmt(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Generate an SVG document for the enabled part of a design
+ * @param {object} options
+ * @param {string} options.name - Design name for the title block
+ * @param {Map} options.vertices - Vertex positions (pixels)
+ * @param {Array} options.allEdges - All grid edges
+ * @param {Set} options.enabledEdges - Enabled edge keys
+ * @param {object} options.stats - Output of calculateStats
+ * @param {number} options.spacing - Point spacing (inches)
+ * @param {number} options.pixelSize - Pixels per point spacing
+ * @param {string} options.units - 'in' or 'cm'
+ * @param {boolean} options.showDimensions - Draw overall width/length dimension lines
+ * @returns {string} SVG markup
+ */
+export function generateSvg({
+  name,
+  vertices,
+  allEdges,
+  enabledEdges,
+  stats,
+  spacing,
+  pixelSize,
+  units,
+  showDimensions = true
+}) {
+  const unitScale = units === 'cm' ? INCH_TO_CM : 1;
+  const toUnits = (pixels) => (pixels / pixelSize) * spacing * unitScale;
+  const unitLabel = units === 'cm' ? 'cm' : 'in';
+  const spacingUnits = spacing * unitScale;
+
+  const enabled = allEdges.filter(edge => enabledEdges.has(edge.key));
+
+  // Bounding box of the enabled segments (pixels)
+  let minX = Infinity, minY = Infinity;
+  for (const edge of enabled) {
+    for (const key of [edge.v1, edge.v2]) {
+      const v = vertices.get(key);
+      minX = Math.min(minX, v.x);
+      minY = Math.min(minY, v.y);
+    }
+  }
+  if (enabled.length === 0) {
+    minX = 0;
+    minY = 0;
+  }
+
+  const drawingWidth = toUnits(stats.boundingBox.width);
+  const drawingHeight = toUnits(stats.boundingBox.height);
+
+  // Sizes scale with point spacing so small and large walls both read well
+  const margin = spacingUnits;
+  const strokeWidth = spacingUnits * 0.05;
+  const jointRadius = spacingUnits * 0.08;
+  const fontSize = spacingUnits * 0.3;
+  const dimOffset = spacingUnits * 0.6;
+  const dimSpace = showDimensions ? dimOffset + fontSize * 1.5 : 0;
+
+  const originX = margin + dimSpace;
+  const originY = margin;
+  const px = (x) => originX + toUnits(x - minX);
+  const py = (y) => originY + toUnits(y - minY);
+
+  // Title block lines
+  const titleLines = [
+    name,
+    `Point spacing: ${spacingUnits.toFixed(1)}${unitLabel}`,
+    `Overall: ${drawingWidth.toFixed(1)}${unitLabel} × ${drawingHeight.toFixed(1)}${unitLabel}`,
+    `Segments: ${stats.segments}`,
+    `2-joints: ${stats.joints2}   3-joints: ${stats.joints3}   Dead ends: ${stats.joints1}`
+  ];
+  const lineHeight = fontSize * 1.4;
+  const titlePadding = fontSize * 0.75;
+  const titleTop = originY + drawingHeight + dimSpace + margin * 0.5;
+  const titleHeight = titleLines.length * lineHeight + titlePadding * 2;
+  const titleWidth = Math.max(...titleLines.map(line => line.length)) * fontSize * 0.6 + titlePadding * 2;
+
+  const totalWidth = Math.max(originX + drawingWidth + margin, margin + titleWidth + margin);
+  const totalHeight = titleTop + titleHeight + margin;
+
+  const parts = [];
+
+  // Segments
+  parts.push(`  <g id="segments" stroke="${COLORS.segment}" stroke-width="${fmt(strokeWidth)}" stroke-linecap="round">`);
+  for (const edge of enabled) {
+    const v1 = vertices.get(edge.v1);
+    const v2 = vertices.get(edge.v2);
+    parts.push(`    <line x1="${fmt(px(v1.x))}" y1="${fmt(py(v1.y))}" x2="${fmt(px(v2.x))}" y2="${fmt(py(v2.y))}"/>`);
+  }
+  parts.push('  </g>');
+
+  // Joints, coloured by connection count as in the app
+  parts.push('  <g id="joints">');
+  for (const [key, count] of stats.jointCounts) {
+    const v = vertices.get(key);
+    const fill = count >= 3 ? COLORS.joint3 : count === 2 ? COLORS.joint2 : COLORS.joint1;
+    parts.push(`    <circle cx="${fmt(px(v.x))}" cy="${fmt(py(v.y))}" r="${fmt(jointRadius)}" fill="${fill}"/>`);
+  }
+  parts.push('  </g>');
+
+  // Overall dimension lines with end ticks
+  if (showDimensions && enabled.length > 0) {
+    const tick = fontSize * 0.5;
+    const left = originX;
+    const right = originX + drawingWidth;
+    const top = originY;
+    const bottom = originY + drawingHeight;
+    const dimY = bottom + dimOffset;
+    const dimX = originX - dimOffset;
+
+    parts.push(`  <g id="dimensions" stroke="${COLORS.annotation}" stroke-width="${fmt(strokeWidth * 0.4)}" fill="${COLORS.annotation}" font-family="sans-serif" font-size="${fmt(fontSize)}">`);
+    parts.push(`    <line x1="${fmt(left)}" y1="${fmt(dimY)}" x2="${fmt(right)}" y2="${fmt(dimY)}"/>`);
+    parts.push(`    <line x1="${fmt(left)}" y1="${fmt(dimY - tick)}" x2="${fmt(left)}" y2="${fmt(dimY + tick)}"/>`);
+    parts.push(`    <line x1="${fmt(right)}" y1="${fmt(dimY - tick)}" x2="${fmt(right)}" y2="${fmt(dimY + tick)}"/>`);
+    parts.push(`    <text x="${fmt((left + right) / 2)}" y="${fmt(dimY + fontSize * 1.2)}" text-anchor="middle" stroke="none">${drawingWidth.toFixed(1)}${unitLabel}</text>`);
+    parts.push(`    <line x1="${fmt(dimX)}" y1="${fmt(top)}" x2="${fmt(dimX)}" y2="${fmt(bottom)}"/>`);
+    parts.push(`    <line x1="${fmt(dimX - tick)}" y1="${fmt(top)}" x2="${fmt(dimX + tick)}" y2="${fmt(top)}"/>`);
+    parts.push(`    <line x1="${fmt(dimX - tick)}" y1="${fmt(bottom)}" x2="${fmt(dimX + tick)}" y2="${fmt(bottom)}"/>`);
+    const labelX = dimX - fontSize * 0.5;
+    const labelY = (top + bottom) / 2;
+    parts.push(`    <text x="${fmt(labelX)}" y="${fmt(labelY)}" text-anchor="middle" stroke="none" transform="rotate(-90 ${fmt(labelX)} ${fmt(labelY)})">${drawingHeight.toFixed(1)}${unitLabel}</text>`);
+    parts.push('  </g>');
+  }
+
+  // Title block
+  parts.push(`  <g id="title-block" font-family="sans-serif" font-size="${fmt(fontSize)}" fill="${COLORS.text}">`);
+  parts.push(`    <rect x="${fmt(margin)}" y="${fmt(titleTop)}" width="${fmt(titleWidth)}" height="${fmt(titleHeight)}" fill="none" stroke="${COLORS.annotation}" stroke-width="${fmt(strokeWidth * 0.4)}"/>`);
+  titleLines.forEach((line, i) => {
+    const y = titleTop + titlePadding + lineHeight * (i + 0.75);
+    const weight = i === 0 ? ' font-weight="bold"' : '';
+    parts.push(`    <text x="${fmt(margin + titlePadding)}" y="${fmt(y)}"${weight}>${escapeXml(line)}</text>`);
+  });
+  parts.push('  </g>');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(totalWidth)}${unitLabel}" height="${fmt(totalHeight)}${unitLabel}" viewBox="0 0 ${fmt(totalWidth)} ${fmt(totalHeight)}">`,
+    `  <title>${escapeXml(name)}</title>`,
+    ...parts,
+    '</svg>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,156 @@
+/**
+ * Graph helpers over the enabled edges of a design
+ *
+ * The design is treated as an undirected graph whose nodes are vertex keys
+ * and whose edges are the enabled segments.
+ */
+
+/**
+ * Build an adjacency map of the enabled edges
+ * @param {Set} enabledEdges - Enabled edge keys
+ * @param {Array} allEdges - All grid edges
+ * @returns {Map} vertexKey -> Array of { vertex: neighbour key, edge: edge key }
+ */
+export function buildAdjacency(enabledEdges, allEdges) {
+  return linkEdges(allEdges.filter(edge => enabledEdges.has(edge.key)));
+}
+
+/**
+ * Build an adjacency map of every edge of the grid, lit or not
+ * It only changes with the grid, so callers keep one per grid.
+ * @param {Array} allEdges - All grid edges
+ * @returns {Map} vertexKey -> Array of { vertex: neighbour key, edge: edge key }
+ */
+export function buildLatticeAdjacency(allEdges) {
+  return linkEdges(allEdges);
+}
+
+function linkEdges(edges) {
+  const adjacency = new Map();
+  const link = (from, to, edgeKey) => {
+    if (!adjacency.has(from)) adjacency.set(from, []);
+    adjacency.get(from).push({ vertex: to, edge: edgeKey });
+  };
+
+  for (const edge of edges) {
+    link(edge.v1, edge.v2, edge.key);
+    link(edge.v2, edge.v1, edge.key);
+  }
+
+  return adjacency;
+}
+
+/**
+ * Split a graph into connected components
+ * @param {Map} adjacency - Output of buildAdjacency
+ * @returns {Array} Array of components, each an array of vertex keys
+ */
+export function findComponents(adjacency) {
+  const seen = new Set();
+  const components = [];
+
+  for (const start of adjacency.keys()) {
+    if (seen.has(start)) continue;
+    const component = [];
+    const queue = [start];
+    seen.add(start);
+    while (queue.length > 0) {
+      const key = queue.pop();
+      component.push(key);
+      for (const { vertex } of adjacency.get(key)) {
+        if (!seen.has(vertex)) {
+          seen.add(vertex);
+          queue.push(vertex);
+        }
+      }
+    }
+    components.push(component);
+  }
+
+  return components;
+}
+
+/**
+ * Find the islands (separate connected pieces) of a design
+ * Islands are sorted largest first, so island 0 is the main structure.
+ * @param {Set} enabledEdges - Enabled edge keys
+ * @param {Array} allEdges - All grid edges
+ * @returns {object} { islands: [{ vertices, edges }], islandOf: Map edgeKey -> island index }
+ */
+export function findIslands(enabledEdges, allEdges) {
+  const adjacency = buildAdjacency(enabledEdges, allEdges);
+
+  const islands = findComponents(adjacency)
+    .map(vertices => {
+      const edges = new Set();
+      for (const key of vertices) {
+        for (const { edge } of adjacency.get(key)) edges.add(edge);
+      }
+      return { vertices, edges: Array.from(edges) };
+    })
+    .sort((a, b) => b.edges.length - a.edges.length);
+
+  const islandOf = new Map();
+  islands.forEach((island, index) => {
+    for (const edge of island.edges) islandOf.set(edge, index);
+  });
+
+  return { islands, islandOf };
+}
+
+/**
+ * Suggest extra segments that join every island into one structure
+ * Grows outward from the largest island, each time adding the shortest
+ * lattice path to the nearest island not yet joined. This greedy Steiner
+ * tree is usually optimal for a handful of islands and never more than
+ * twice the true minimum.
+ * @param {Array} islands - Output of findIslands
+ * @param {Map} lattice - Output of buildLatticeAdjacency for the grid
+ * @returns {Array} Edge keys to enable (empty if already connected)
+ */
+export function suggestIslandConnections(islands, lattice) {
+  if (islands.length < 2) return [];
+
+  const islandOfVertex = new Map();
+  islands.forEach((island, index) => {
+    for (const key of island.vertices) islandOfVertex.set(key, index);
+  });
+
+  const joined = new Set([0]);
+  const tree = new Set(islands[0].vertices);
+  const added = [];
+
+  while (joined.size < islands.length) {
+    // Multi-source BFS from everything joined so far
+    const cameFrom = new Map();
+    for (const key of tree) cameFrom.set(key, null);
+    const queue = Array.from(tree);
+    let target = null;
+
+    for (let i = 0; i < queue.length && target === null; i++) {
+      for (const { vertex, edge } of lattice.get(queue[i]) || []) {
+        if (cameFrom.has(vertex)) continue;
+        cameFrom.set(vertex, { vertex: queue[i], edge });
+        if (islandOfVertex.has(vertex) && !joined.has(islandOfVertex.get(vertex))) {
+          target = vertex;
+          break;
+        }
+        queue.push(vertex);
+      }
+    }
+
+    // Islands on separate lattices can't be joined (shouldn't happen on one grid)
+    if (target === null) break;
+
+    for (let current = target; cameFrom.get(current); current = cameFrom.get(current).vertex) {
+      added.push(cameFrom.get(current).edge);
+      tree.add(current);
+    }
+
+    const island = islandOfVertex.get(target);
+    joined.add(island);
+    for (const key of islands[island].vertices) tree.add(key);
+  }
+
+  return added;
+}
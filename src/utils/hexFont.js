@@ -0,0 +1,217 @@
+/**
+ * Stroke font for the hex lattice
+ *
+ * Each glyph is a seven-segment display built from two boxes of hexagons
+ * stacked one on the other: the outer sides of the boxes are the segments,
+ * and the edges the boxes share are the middle bar. At scale 1 a box is a
+ * single hexagon; at scale n it's n hexagons wide and n rows tall.
+ *
+ * On pointy-top grids the rows are staggered, so where the boxes meet one
+ * row overhangs the other by half a hexagon at each end (at odd scales the
+ * whole lower box sits half a hexagon to the left). The overhanging
+ * hexagon's unshared edge carries its side stroke down to the middle bar, so
+ * the upper and lower strokes on each side still meet. Flat-top boxes stack
+ * straight and their sides meet directly.
+ *
+ *    aaa
+ *   f   b
+ *    ggg
+ *   e   c
+ *    ddd
+ *
+ * Positions are worked out in lattice coordinates (see getVertexKey) so
+ * every stroke lands exactly on grid edges.
+ */
+import { getVertexKey, getVertexPosition, getNearestCellCenter, getEdgeKey } from './hexMath';
+
+// Lit segments of each character. Letters are matched case-insensitively;
+// ones a seven-segment display can't draw distinctly (K, M, W, X) use the
+// usual stand-ins.
+export const GLYPHS = {
+  '0': 'abcdef',
+  '1': 'bc',
+  '2': 'abdeg',
+  '3': 'abcdg',
+  '4': 'bcfg',
+  '5': 'acdfg',
+  '6': 'acdefg',
+  '7': 'abc',
+  '8': 'abcdefg',
+  '9': 'abcdfg',
+  A: 'abcefg',
+  B: 'cdefg',
+  C: 'adef',
+  D: 'bcdeg',
+  E: 'adefg',
+  F: 'aefg',
+  G: 'acdef',
+  H: 'bcefg',
+  I: 'ef',
+  J: 'bcde',
+  K: 'acefg',
+  L: 'def',
+  M: 'abcef',
+  N: 'ceg',
+  O: 'abcdef',
+  P: 'abefg',
+  Q: 'abcfg',
+  R: 'eg',
+  S: 'acdfg',
+  T: 'defg',
+  U: 'bcdef',
+  V: 'cde',
+  W: 'bcdefg',
+  X: 'bcefg',
+  Y: 'bcdfg',
+  Z: 'abdeg',
+  '-': 'g',
+  '_': 'd',
+  '=': 'dg',
+  ' ': ''
+};
+
+export const DEFAULT_LETTERING = { text: 'HEX', scale: 1, letterSpacing: 1 };
+
+// Center of hexagon (column, row) of a glyph and the offsets of its corners,
+// in lattice units. Pointy-top rows and flat-top columns are staggered.
+function cellCenter(column, row, pointyTop) {
+  return pointyTop
+    ? { i: 2 * column - (row % 2), j: 3 * row }
+    : { i: 3 * column, j: 2 * row + (column % 2) };
+}
+
+const CORNERS = {
+  pointy: [[0, -2], [1, -1], [1, 1], [0, 2], [-1, 1], [-1, -1]],
+  flat: [[2, 0], [1, 1], [-1, 1], [-2, 0], [-1, -1], [1, -1]]
+};
+
+// Lattice units to proportional screen positions, for telling sides apart
+function toScreen({ i, j }, pointyTop) {
+  return pointyTop
+    ? { x: (i * Math.sqrt(3)) / 2, y: j / 2 }
+    : { x: i / 2, y: (j * Math.sqrt(3)) / 2 };
+}
+
+/**
+ * Edges of each segment of a glyph at a scale, in lattice units relative to
+ * the glyph's top-left hexagon center
+ * @returns {object} Segment letter -> array of [{ i, j }, { i, j }]
+ */
+function getGlyphSegments(scale, pointyTop) {
+  const corners = CORNERS[pointyTop ? 'pointy' : 'flat'];
+  const edges = new Map();
+  const boxes = [[], []];
+
+  for (let row = 0; row < scale * 2; row++) {
+    const box = row < scale ? 0 : 1;
+    for (let column = 0; column < scale; column++) {
+      const center = cellCenter(column, row, pointyTop);
+      const points = corners.map(([di, dj]) => ({ i: center.i + di, j: center.j + dj }));
+      boxes[box].push(...points);
+
+      for (let k = 0; k < 6; k++) {
+        const ends = [points[k], points[(k + 1) % 6]];
+        const key = getEdgeKey(...ends.map(({ i, j }) => `${i},${j}`));
+        if (!edges.has(key)) edges.set(key, { ends, counts: [0, 0] });
+        edges.get(key).counts[box]++;
+      }
+    }
+  }
+
+  // Which side of a box an edge is on, judged from the box's middle with
+  // the box squashed to a square
+  const bounds = boxes.map(points => {
+    const screen = points.map(point => toScreen(point, pointyTop));
+    const xs = screen.map(p => p.x);
+    const ys = screen.map(p => p.y);
+    return {
+      x: (Math.min(...xs) + Math.max(...xs)) / 2,
+      y: (Math.min(...ys) + Math.max(...ys)) / 2,
+      halfWidth: (Math.max(...xs) - Math.min(...xs)) / 2,
+      halfHeight: (Math.max(...ys) - Math.min(...ys)) / 2
+    };
+  });
+  const sideOf = (ends, box) => {
+    const [p1, p2] = ends.map(point => toScreen(point, pointyTop));
+    const { x, y, halfWidth, halfHeight } = bounds[box];
+    const u = ((p1.x + p2.x) / 2 - x) / halfWidth;
+    const v = ((p1.y + p2.y) / 2 - y) / halfHeight;
+    const horizontal = u < 0 ? 'left' : 'right';
+    if (Math.abs(v) < Math.abs(u)) return horizontal;
+    // Unshared edges where the boxes meet belong to an overhanging hexagon
+    // at the end of a staggered row, and join that side's strokes
+    if (box === 0 && v > 0) return horizontal;
+    if (box === 1 && v < 0) return horizontal;
+    return v < 0 ? 'top' : 'bottom';
+  };
+
+  const sideSegments = [
+    { top: 'a', right: 'b', left: 'f' },
+    { right: 'c', left: 'e', bottom: 'd' }
+  ];
+  const segments = { a: [], b: [], c: [], d: [], e: [], f: [], g: [] };
+  for (const { ends, counts } of edges.values()) {
+    if (counts[0] === 1 && counts[1] === 1) {
+      segments.g.push(ends);
+    } else if (counts[0] + counts[1] === 1) {
+      const box = counts[0] === 1 ? 0 : 1;
+      segments[sideSegments[box][sideOf(ends, box)]].push(ends);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Lay out a line of text on the lattice, centered on an anchor hexagon
+ * @param {string} text - Text to draw
+ * @param {object} options - { scale, letterSpacing } glyph size and the gap
+ *   between glyphs, in hexagons
+ * @param {string} anchorKey - Lattice key of the anchor hexagon's center
+ * @param {number} size - Pixels per point spacing
+ * @param {boolean} pointyTop - Hex orientation
+ * @returns {object} { characters: [{ char, edges }] for each drawable
+ *   character, unsupported: characters without a glyph }
+ */
+export function layoutText(text, { scale, letterSpacing }, anchorKey, size, pointyTop = true) {
+  const segments = getGlyphSegments(scale, pointyTop);
+  // Flat-top columns are staggered, so glyphs advance by whole column pairs
+  // to stay on the same baseline
+  const advanceColumns = pointyTop
+    ? scale + letterSpacing
+    : Math.ceil((scale + letterSpacing) / 2) * 2;
+  const columnUnits = pointyTop ? 2 : 3;
+
+  const glyphs = [];
+  const unsupported = new Set();
+  Array.from(text).forEach((char, index) => {
+    const glyph = GLYPHS[char.toUpperCase()];
+    if (glyph === undefined) {
+      unsupported.add(char);
+    } else {
+      glyphs.push({ char, glyph, offset: index * advanceColumns * columnUnits });
+    }
+  });
+
+  // Center the text's bounding box on the anchor, keeping the top-left
+  // hexagon of the first glyph on a hexagon center
+  const count = Array.from(text).length;
+  const width = ((count - 1) * advanceColumns + scale) * columnUnits;
+  const height = pointyTop ? scale * 6 : scale * 4;
+  const middle = toScreen({ i: width / 2 - columnUnits / 2, j: height / 2 - (pointyTop ? 1.5 : 1) }, pointyTop);
+  const anchor = getVertexPosition(anchorKey, size, pointyTop);
+  const origin = getNearestCellCenter(anchor.x - middle.x * size, anchor.y - middle.y * size, size, pointyTop);
+  const [originI, originJ] = getVertexKey(origin.x, origin.y, size, pointyTop).split(',').map(Number);
+
+  const characters = glyphs.map(({ char, glyph, offset }) => {
+    const edges = [];
+    for (const segment of glyph) {
+      for (const ends of segments[segment]) {
+        const [v1, v2] = ends.map(({ i, j }) => `${originI + offset + i},${originJ + j}`);
+        edges.push(getEdgeKey(v1, v2));
+      }
+    }
+    return { char, edges };
+  });
+
+  return { characters, unsupported: Array.from(unsupported) };
+}
@@ -9,6 +9,39 @@
 // Default spacing between adjacent vertices (edge length of hexagon) in inches
 export const DEFAULT_POINT_SPACING = 18; // 18 inches = 1.5 feet
 
+/**
+ * Spacing of the vertex lattice along each axis, in the same units as size
+ * Every vertex of a grid sits on an integer multiple of these units measured
+ * from the grid origin (the top-left corner of the first hex's bounding box)
+ */
+function getLatticeUnits(size, pointyTop) {
+  const half = size / 2;
+  const halfRoot3 = (Math.sqrt(3) * size) / 2;
+  return pointyTop
+    ? { unitX: halfRoot3, unitY: half }
+    : { unitX: half, unitY: halfRoot3 };
+}
+
+/**
+ * Generate a vertex key from its lattice coordinates, e.g. "4,7"
+ * Keys depend only on a vertex's position relative to the grid origin, so
+ * they stay the same when the grid grows or shrinks
+ */
+export function getVertexKey(x, y, size, pointyTop = true) {
+  const { unitX, unitY } = getLatticeUnits(size, pointyTop);
+  // Add 0 to normalize -0 to 0
+  return `${Math.round(x / unitX) + 0},${Math.round(y / unitY) + 0}`;
+}
+
+/**
+ * Get the position of a vertex from its lattice coordinate key
+ */
+export function getVertexPosition(vertexKey, size, pointyTop = true) {
+  const { unitX, unitY } = getLatticeUnits(size, pointyTop);
+  const [i, j] = vertexKey.split(',').map(Number);
+  return { x: i * unitX, y: j * unitY };
+}
+
 /**
  * Generate a canonical edge key from two vertex keys
  */
@@ -16,6 +49,38 @@ export function getEdgeKey(v1, v2) {
   return v1 < v2 ? `${v1}|${v2}` : `${v2}|${v1}`;
 }
 
+// Direction names for angles snapped to 30° (0° = right, counter-clockwise)
+// Each grid orientation only uses every other angle, so names never collide
+const DIRECTION_NAMES = {
+  0: 'right',
+  30: 'up-right',
+  60: 'up-right',
+  90: 'up',
+  120: 'up-left',
+  150: 'up-left',
+  180: 'left',
+  210: 'down-left',
+  240: 'down-left',
+  270: 'down',
+  300: 'down-right',
+  330: 'down-right'
+};
+
+/**
+ * Snap a direction vector (screen coordinates, y down) to a 30° compass angle
+ */
+export function snapAngle(dx, dy) {
+  const degrees = (Math.atan2(-dy, dx) * 180) / Math.PI;
+  return ((Math.round(degrees / 30) * 30) % 360 + 360) % 360;
+}
+
+/**
+ * Name the lattice direction of a vector, e.g. 'up-left'
+ */
+export function getDirectionName(dx, dy) {
+  return DIRECTION_NAMES[snapAngle(dx, dy)];
+}
+
 /**
  * Calculate grid dimensions that fit WITHIN given dimensions (in inches)
  * Grid will never exceed the requested width/length
@@ -139,72 +204,96 @@ function getHexVertices(cx, cy, size, pointyTop) {
 }
 
 /**
- * Generate both vertices and edges for a hex grid
- * This ensures edges use the exact same vertex keys as the vertices map
+ * Generate vertices, edges and cells (hexagon faces) for a hex grid
+ * This ensures edges and cells use the exact same vertex keys as the vertices map
  * Supports ragged grids with colsOdd/rowsOdd for staggered layouts
+ *
+ * Shared corners of neighbouring hexagons are merged through their lattice
+ * keys, so generation is linear in the number of hexagons. The returned
+ * edgeIndex maps edge keys to edges for constant-time lookups.
  */
 export function generateGrid(cols, colsOdd, rows, rowsOdd, size, pointyTop = true) {
   const centers = generateHexCenters(cols, colsOdd, rows, rowsOdd, size, pointyTop);
 
-  // First pass: collect all vertices and assign unique integer IDs
-  // Use spatial comparison to deduplicate vertices
-  const TOLERANCE = 0.01;
-  const vertexList = []; // Array of {x, y}
-
-  // Helper to find or create a vertex
-  const getVertexId = (x, y) => {
-    // Check if we already have a vertex at this location
-    for (let i = 0; i < vertexList.length; i++) {
-      const v = vertexList[i];
-      if (Math.abs(v.x - x) < TOLERANCE && Math.abs(v.y - y) < TOLERANCE) {
-        return i;
-      }
-    }
-    // Create new vertex
-    const id = vertexList.length;
-    vertexList.push({ x, y });
-    return id;
-  };
-
-  // Collect all vertices from all hexagons
-  for (const center of centers) {
-    const hexVerts = getHexVertices(center.x, center.y, size, pointyTop);
-    for (const v of hexVerts) {
-      getVertexId(v.x, v.y);
-    }
-  }
-
-  // Build the vertices Map with string keys
+  // Vertices keyed by lattice coordinates, in the order hexagons first reach
+  // them (legacy edge key migration depends on this order)
   const vertices = new Map();
-  for (let i = 0; i < vertexList.length; i++) {
-    const key = String(i);
-    vertices.set(key, { x: vertexList[i].x, y: vertexList[i].y });
-  }
-
-  // Generate edges using vertex IDs
-  const edgeSet = new Set();
+  const edgeIndex = new Map();
   const edges = [];
+  const cells = [];
 
   for (const center of centers) {
-    const hexVerts = getHexVertices(center.x, center.y, size, pointyTop);
-    const hexVertIds = hexVerts.map(v => getVertexId(v.x, v.y));
+    const hexVertKeys = getHexVertices(center.x, center.y, size, pointyTop).map(({ x, y }) => {
+      const key = getVertexKey(x, y, size, pointyTop);
+      if (!vertices.has(key)) vertices.set(key, { x, y });
+      return key;
+    });
+    const cellEdges = [];
 
     // Connect each vertex to the next (6 edges per hexagon)
     for (let i = 0; i < 6; i++) {
-      const id1 = hexVertIds[i];
-      const id2 = hexVertIds[(i + 1) % 6];
-      const key1 = String(id1);
-      const key2 = String(id2);
+      const key1 = hexVertKeys[i];
+      const key2 = hexVertKeys[(i + 1) % 6];
       const edgeKey = getEdgeKey(key1, key2);
+      cellEdges.push(edgeKey);
 
-      if (!edgeSet.has(edgeKey)) {
-        edgeSet.add(edgeKey);
-        edges.push({ key: edgeKey, v1: key1, v2: key2 });
+      if (!edgeIndex.has(edgeKey)) {
+        const edge = { key: edgeKey, v1: key1, v2: key2 };
+        edgeIndex.set(edgeKey, edge);
+        edges.push(edge);
       }
     }
+
+    cells.push({
+      key: `${center.col},${center.row}`,
+      x: center.x,
+      y: center.y,
+      col: center.col,
+      row: center.row,
+      vertices: hexVertKeys,
+      edges: cellEdges
+    });
   }
 
-  return { vertices, edges };
+  return { vertices, edges, edgeIndex, cells };
+}
+
+/**
+ * Check whether an edge key uses the legacy sequential vertex numbering
+ * (e.g. "12|13") rather than lattice coordinates (e.g. "4,7|5,6")
+ */
+export function isLegacyEdgeKey(edgeKey) {
+  return /^\d+\|\d+$/.test(edgeKey);
+}
+
+/**
+ * Convert legacy edge keys to lattice coordinate keys
+ *
+ * Legacy vertex keys were integers assigned in the order vertices were first
+ * met while walking the hex centers, which is the same order generateGrid
+ * inserts them into the vertices map. Rebuilding the grid the edges were saved
+ * against therefore recovers each legacy index. Keys that are already in the
+ * new format are kept; legacy keys that don't exist in that grid are dropped.
+ */
+export function migrateLegacyEdgeKeys(edgeKeys, width, length, spacing, pointyTop = true) {
+  if (!edgeKeys.some(isLegacyEdgeKey)) return edgeKeys;
+
+  const dims = getGridDimensions(width, length, spacing, pointyTop);
+  const { vertices } = generateGrid(dims.cols, dims.colsOdd, dims.rows, dims.rowsOdd, 1, pointyTop);
+  const keysByIndex = Array.from(vertices.keys());
+
+  const migrated = [];
+  for (const edgeKey of edgeKeys) {
+    if (!isLegacyEdgeKey(edgeKey)) {
+      migrated.push(edgeKey);
+      continue;
+    }
+    const [v1, v2] = edgeKey.split('|').map(Number);
+    if (keysByIndex[v1] !== undefined && keysByIndex[v2] !== undefined) {
+      migrated.push(getEdgeKey(keysByIndex[v1], keysByIndex[v2]));
+    }
+  }
+  return migrated;
 }
 
 // Wrapper functions for compatibility
@@ -218,6 +307,54 @@ export function generateGridEdges(cols, colsOdd, rows, rowsOdd, size, pointyTop
   return edges;
 }
 
+/**
+ * Center of the hexagon nearest to a point
+ * Covers the whole lattice, not just the hexagons inside the grid.
+ * @returns {object} { x, y }
+ */
+export function getNearestCellCenter(x, y, size, pointyTop = true) {
+  // Work in pointy-top orientation; flat-top is the same lattice with x and y swapped
+  const [px, py] = pointyTop ? [x, y] : [y, x];
+  const horizSpacing = Math.sqrt(3) * size;
+  const vertSpacing = 1.5 * size;
+  const nearestRow = Math.round((py - size) / vertSpacing);
+
+  let best = null;
+  for (let row = nearestRow - 1; row <= nearestRow + 1; row++) {
+    const xOffset = Math.abs(row % 2) === 1 ? horizSpacing / 2 : 0;
+    const col = Math.round((px - xOffset - horizSpacing / 2) / horizSpacing);
+    const cx = col * horizSpacing + xOffset + horizSpacing / 2;
+    const cy = row * vertSpacing + size;
+    const distance = Math.hypot(cx - px, cy - py);
+    if (!best || distance < best.distance) best = { x: cx, y: cy, distance };
+  }
+
+  return pointyTop ? { x: best.x, y: best.y } : { x: best.y, y: best.x };
+}
+
+/**
+ * Calculate the SVG viewBox that shows the whole grid with a margin
+ * @param {Map} vertices - Vertex positions (pixels)
+ * @param {number} padding - Margin around the grid (pixels)
+ * @returns {object} { minX, minY, width, height }
+ */
+export function calculateViewBox(vertices, padding) {
+  let maxX = 0;
+  let maxY = 0;
+
+  for (const vertex of vertices.values()) {
+    maxX = Math.max(maxX, vertex.x);
+    maxY = Math.max(maxY, vertex.y);
+  }
+
+  return {
+    minX: -padding,
+    minY: -padding,
+    width: maxX + padding * 2,
+    height: maxY + padding * 2
+  };
+}
+
 /**
  * Calculate snapped mirror axis positions that align with grid geometry
  * Returns axis positions that either pass through vertices or bisect edges
@@ -225,8 +362,15 @@ export function generateGridEdges(cols, colsOdd, rows, rowsOdd, size, pointyTop
  * For proper mirroring:
  * - Flat-top: vertical axis must bisect horizontal segments (midpoints only for X)
  * - Pointy-top: horizontal axis must bisect vertical segments (midpoints only for Y)
+ *
+ * The axes and rotation center sit nearest the middle of the grid unless
+ * placed by the user. A placement gives lattice coordinates (see getVertexKey)
+ * and is snapped by the same rules, so any stored value lands on a valid axis.
+ * @param {object} placement - { x, y, center } user-placed vertical axis x,
+ *   horizontal axis y and rotation center ("i,j"); null or missing fields
+ *   use the middle of the grid
  */
-export function calculateMirrorAxes(vertices, pointyTop = true) {
+export function calculateMirrorAxes(vertices, pointyTop = true, placement = null) {
   let minX = Infinity, maxX = -Infinity;
   let minY = Infinity, maxY = -Infinity;
 
@@ -301,6 +445,30 @@ export function calculateMirrorAxes(vertices, pointyTop = true) {
   const rawCenterX = (minX + maxX) / 2;
   const rawCenterY = (minY + maxY) / 2;
 
+  // The large vertex gap across the axis hexes stack along equals the hex size
+  const size = pointyTop ? maxYGap : maxXGap;
+  const { unitX, unitY } = getLatticeUnits(size, pointyTop);
+  const targetX = placement?.x != null ? placement.x * unitX : rawCenterX;
+  const targetY = placement?.y != null ? placement.y * unitY : rawCenterY;
+
+  // Rotation centers: the hexagon center and the vertex nearest the target,
+  // which is kept inside the grid so the center can't be placed off it
+  const rotationTarget = { x: rawCenterX, y: rawCenterY };
+  if (placement?.center) {
+    const placed = getVertexPosition(placement.center, size, pointyTop);
+    rotationTarget.x = Math.min(maxX, Math.max(minX, placed.x));
+    rotationTarget.y = Math.min(maxY, Math.max(minY, placed.y));
+  }
+  const cellCenter = getNearestCellCenter(rotationTarget.x, rotationTarget.y, size, pointyTop);
+  let vertexCenter = null;
+  for (const v of vertices.values()) {
+    if (!vertexCenter ||
+      Math.hypot(v.x - rotationTarget.x, v.y - rotationTarget.y) <
+      Math.hypot(vertexCenter.x - rotationTarget.x, vertexCenter.y - rotationTarget.y) - 0.001) {
+      vertexCenter = { x: v.x, y: v.y };
+    }
+  }
+
   // Find best axis - closest to center, prefer making left/top smaller if tied
   const findBestAxis = (positions, center) => {
     if (positions.length === 0) return center;
@@ -328,104 +496,181 @@ export function calculateMirrorAxes(vertices, pointyTop = true) {
     maxX,
     minY,
     maxY,
-    centerX: findBestAxis(validXPositions, rawCenterX),
-    centerY: findBestAxis(validYPositions, rawCenterY)
+    centerX: findBestAxis(validXPositions, targetX),
+    centerY: findBestAxis(validYPositions, targetY),
+    validXPositions,
+    validYPositions,
+    size,
+    rotationTarget,
+    cellCenter,
+    vertexCenter
   };
 }
 
+// Rotational mirror modes and the number of copies (sectors) each makes
+export const ROTATION_FOLDS = { rotate3: 3, rotate6: 6, kaleidoscope: 6 };
+
 /**
- * Calculate mirrored edge coordinates
+ * Symmetry center for the rotational mirror modes
+ * 6-fold symmetry only holds about a hexagon center; 3-fold also holds about
+ * a vertex, so 'rotate3' uses whichever of the two is nearer the middle (or
+ * the placed center).
+ * @param {object} axes - Output of calculateMirrorAxes
+ * @param {string} mirrorMode - Mirror mode
+ * @returns {object} { x, y }
  */
-export function getMirroredEdges(edgeKey, mirrorMode, cols, rows, pointyTop, vertices, allEdges) {
-  if (mirrorMode === 'none') {
-    return [edgeKey];
+export function getRotationCenter(axes, mirrorMode) {
+  const { cellCenter, vertexCenter, rotationTarget: target } = axes;
+  if (mirrorMode === 'rotate3' && vertexCenter &&
+    Math.hypot(vertexCenter.x - target.x, vertexCenter.y - target.y) <
+    Math.hypot(cellCenter.x - target.x, cellCenter.y - target.y) - 0.001) {
+    return vertexCenter;
   }
+  return cellCenter;
+}
 
-  // Get snapped mirror axes (orientation-aware)
-  const { centerX, centerY } = calculateMirrorAxes(vertices, pointyTop);
-
-  // Parse the edge to get vertex coordinates
-  const [v1Key, v2Key] = edgeKey.split('|');
-  const v1 = vertices.get(v1Key);
-  const v2 = vertices.get(v2Key);
-
-  if (!v1 || !v2) return [edgeKey];
-
-  const results = new Set([edgeKey]);
-  const TOLERANCE = 0.1;
-
-  // Helper to find nearest vertex to a target point
-  const findNearestVertex = (targetX, targetY) => {
-    let nearest = null;
-    let minDist = Infinity;
+/**
+ * Point transforms (other than identity) for a rotational mirror mode
+ * Rotations by 360°/folds about the center; the kaleidoscope adds
+ * reflections across the six lattice mirror lines through the center
+ * (every 30°), giving the full symmetry of a hexagon.
+ * @returns {Array} Functions (x, y) => [x, y]
+ */
+export function getRotationTransforms(mirrorMode, center) {
+  const folds = ROTATION_FOLDS[mirrorMode];
+  const transforms = [];
+
+  for (let k = 1; k < folds; k++) {
+    const angle = (2 * Math.PI * k) / folds;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    transforms.push((x, y) => [
+      center.x + (x - center.x) * cos - (y - center.y) * sin,
+      center.y + (x - center.x) * sin + (y - center.y) * cos
+    ]);
+  }
 
-    for (const [key, v] of vertices) {
-      const dist = Math.hypot(v.x - targetX, v.y - targetY);
-      if (dist < minDist) {
-        minDist = dist;
-        nearest = key;
-      }
+  if (mirrorMode === 'kaleidoscope') {
+    for (let k = 0; k < 6; k++) {
+      // Reflection across the line at k × 30° uses twice that angle
+      const angle = (Math.PI * k) / 3;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      transforms.push((x, y) => [
+        center.x + (x - center.x) * cos + (y - center.y) * sin,
+        center.y + (x - center.x) * sin - (y - center.y) * cos
+      ]);
     }
+  }
 
-    return minDist < TOLERANCE ? nearest : null;
-  };
+  return transforms;
+}
 
-  // Helper to find edge key if it exists
-  const findEdge = (vKey1, vKey2) => {
-    if (!vKey1 || !vKey2) return null;
-    const key = getEdgeKey(vKey1, vKey2);
-    return allEdges.some(e => e.key === key) ? key : null;
-  };
+/**
+ * Mirror axis placement for a dragged guide, snapped like the automatic axes
+ * @param {object} axes - Output of calculateMirrorAxes for the current placement
+ * @param {string} handle - 'x' (vertical axis), 'y' (horizontal axis) or
+ *   'center' (both axes in radial mode, the rotation center otherwise)
+ * @param {object} point - Pointer position { x, y } (pixels)
+ * @returns {object} Placement fields to merge into the current placement
+ */
+export function snapMirrorPlacement(vertices, axes, handle, point, mirrorMode, pointyTop = true) {
+  const { unitX, unitY } = getLatticeUnits(axes.size, pointyTop);
+  const nearest = (positions, value) => positions.reduce((best, pos) =>
+    Math.abs(pos - value) < Math.abs(best - value) ? pos : best, positions[0] ?? value);
+  const snapX = () => Math.round(nearest(axes.validXPositions, point.x) / unitX);
+  const snapY = () => Math.round(nearest(axes.validYPositions, point.y) / unitY);
+
+  if (handle === 'x') return { x: snapX() };
+  if (handle === 'y') return { y: snapY() };
+  if (!ROTATION_FOLDS[mirrorMode]) return { x: snapX(), y: snapY() };
+
+  const placed = calculateMirrorAxes(vertices, pointyTop, {
+    center: getVertexKey(point.x, point.y, axes.size, pointyTop)
+  });
+  const { x, y } = getRotationCenter(placed, mirrorMode);
+  return { center: getVertexKey(x, y, axes.size, pointyTop) };
+}
 
-  // Mirror functions
+// Point transforms (other than identity) for a mirror mode
+function getMirrorTransforms(mirrorMode, axes) {
+  const { centerX, centerY } = axes;
   const mirrorH = (x, y) => [2 * centerX - x, y];
   const mirrorV = (x, y) => [x, 2 * centerY - y];
   const mirrorR = (x, y) => [2 * centerX - x, 2 * centerY - y];
 
-  if (mirrorMode === 'horizontal' || mirrorMode === 'both') {
-    const [mx1, my1] = mirrorH(v1.x, v1.y);
-    const [mx2, my2] = mirrorH(v2.x, v2.y);
-    const mv1 = findNearestVertex(mx1, my1);
-    const mv2 = findNearestVertex(mx2, my2);
-    const mEdge = findEdge(mv1, mv2);
-    if (mEdge) results.add(mEdge);
+  switch (mirrorMode) {
+    case 'horizontal': return [mirrorH];
+    case 'vertical': return [mirrorV];
+    case 'both': return [mirrorH, mirrorV, mirrorR];
+    case 'radial': return [mirrorR];
+    default:
+      return ROTATION_FOLDS[mirrorMode]
+        ? getRotationTransforms(mirrorMode, getRotationCenter(axes, mirrorMode))
+        : [];
   }
+}
 
-  if (mirrorMode === 'vertical' || mirrorMode === 'both') {
-    const [mx1, my1] = mirrorV(v1.x, v1.y);
-    const [mx2, my2] = mirrorV(v2.x, v2.y);
-    const mv1 = findNearestVertex(mx1, my1);
-    const mv2 = findNearestVertex(mx2, my2);
-    const mEdge = findEdge(mv1, mv2);
-    if (mEdge) results.add(mEdge);
-  }
+/**
+ * Mirror images of every grid edge for a mirror mode
+ * Built once per grid, mode and axis placement so painting only does map
+ * lookups. Mirror images of vertices are lattice points, so each is found by
+ * rounding to its lattice key rather than searching for the nearest vertex.
+ * @param {Map} vertices - Vertex positions (pixels)
+ * @param {Map} edgeIndex - Grid edges by key (see generateGrid)
+ * @param {object} placement - User-placed axes (see calculateMirrorAxes)
+ * @returns {object} { mirrors: Map edgeKey -> edge keys (the edge first, then
+ *   its images inside the grid), unmirrored: Set of edge keys with an image
+ *   outside the grid }. Both are empty when mirroring is off.
+ */
+export function buildMirrorMap(mirrorMode, pointyTop, vertices, edgeIndex, placement = null) {
+  const mirrors = new Map();
+  const unmirrored = new Set();
+  if (mirrorMode === 'none' || vertices.size === 0) return { mirrors, unmirrored };
 
-  if (mirrorMode === 'both') {
-    const [mx1, my1] = mirrorR(v1.x, v1.y);
-    const [mx2, my2] = mirrorR(v2.x, v2.y);
-    const mv1 = findNearestVertex(mx1, my1);
-    const mv2 = findNearestVertex(mx2, my2);
-    const mEdge = findEdge(mv1, mv2);
-    if (mEdge) results.add(mEdge);
-  }
+  const axes = calculateMirrorAxes(vertices, pointyTop, placement);
+  const transforms = getMirrorTransforms(mirrorMode, axes);
+  const TOLERANCE = 0.1;
 
-  if (mirrorMode === 'radial') {
-    const [mx1, my1] = mirrorR(v1.x, v1.y);
-    const [mx2, my2] = mirrorR(v2.x, v2.y);
-    const mv1 = findNearestVertex(mx1, my1);
-    const mv2 = findNearestVertex(mx2, my2);
-    const mEdge = findEdge(mv1, mv2);
-    if (mEdge) results.add(mEdge);
+  // For each transform, the key of the vertex every vertex maps onto (null
+  // off the grid). Vertices are shared by up to three edges, so mapping them
+  // once per transform saves repeating the work for each edge.
+  const vertexImages = transforms.map(transform => {
+    const images = new Map();
+    for (const [key, vertex] of vertices) {
+      const [x, y] = transform(vertex.x, vertex.y);
+      const imageKey = getVertexKey(x, y, axes.size, pointyTop);
+      const image = vertices.get(imageKey);
+      images.set(key, image && Math.hypot(image.x - x, image.y - y) < TOLERANCE ? imageKey : null);
+    }
+    return images;
+  });
+
+  for (const edge of edgeIndex.values()) {
+    const images = [edge.key];
+
+    for (const vertexImage of vertexImages) {
+      const m1 = vertexImage.get(edge.v1);
+      const m2 = vertexImage.get(edge.v2);
+      const key = m1 && m2 ? getEdgeKey(m1, m2) : null;
+      if (key && edgeIndex.has(key)) {
+        if (!images.includes(key)) images.push(key);
+      } else {
+        unmirrored.add(edge.key);
+      }
+    }
+    mirrors.set(edge.key, images);
   }
 
-  return Array.from(results);
+  return { mirrors, unmirrored };
 }
 
 /**
  * Calculate statistics from enabled edges
- * Includes bounding box of enabled segments
+ * Includes bounding box of enabled segments and, when cells are given,
+ * the number of complete cells (hexagons with all six edges enabled)
  */
-export function calculateStats(enabledEdges, allEdges, vertices) {
+export function calculateStats(enabledEdges, allEdges, vertices, cells) {
   const segments = enabledEdges.size;
   const jointCounts = new Map();
 
@@ -469,11 +714,20 @@ export function calculateStats(enabledEdges, allEdges, vertices) {
     else if (count >= 3) joints3++;
   }
 
-  // Calculate bounding box dimensions (0 if no edges enabled)
+  let completeCells = 0;
+  if (cells) {
+    for (const cell of cells) {
+      if (cell.edges.every(key => enabledEdges.has(key))) completeCells++;
+    }
+  }
+
+  // Calculate bounding box position and dimensions (0 if no edges enabled)
   const boundingBox = segments > 0 ? {
+    x: minX,
+    y: minY,
     width: maxX - minX,
     height: maxY - minY
-  } : { width: 0, height: 0 };
+  } : { x: 0, y: 0, width: 0, height: 0 };
 
-  return { segments, joints1, joints2, joints3, jointCounts, boundingBox };
+  return { segments, joints1, joints2, joints3, completeCells, jointCounts, boundingBox };
 }
@@ -0,0 +1,151 @@
+/**
+ * Pixel-map export for LED controller software
+ *
+ * Places every LED of every enabled segment at its physical position, in
+ * either plain edge order or the data order of the wiring plan, then snaps the
+ * positions onto a grid with one cell per LED pitch. That grid is written as a
+ * WLED 2D ledmap, an xLights custom model (XML or CSV), or a C coordinate
+ * array for FastLED sketches.
+ */
+import { toCsv } from './download';
+
+export const PIXEL_MAP_FORMATS = [
+  { value: 'wled', label: 'WLED ledmap.json', extension: 'json', mimeType: 'application/json' },
+  { value: 'xlights-xml', label: 'xLights model (.xmodel)', extension: 'xmodel', mimeType: 'application/xml' },
+  { value: 'xlights-csv', label: 'xLights model (CSV)', extension: 'csv', mimeType: 'text/csv' },
+  { value: 'fastled', label: 'FastLED C array', extension: 'h', mimeType: 'text/plain' }
+];
+
+/**
+ * Physical position of every LED in chain order (pixels)
+ * LEDs sit at the centres of equal divisions of each segment.
+ * @param {string} order - 'edges' (grid edge order, v1 to v2) or 'wiring'
+ * @param {object} wiringPlan - Output of planWiring (used for 'wiring')
+ * @returns {Array} [{ x, y }]
+ */
+export function getLedPositions(order, wiringPlan, enabledEdges, allEdges, vertices, ledsPerSegment) {
+  const segments = order === 'wiring'
+    ? wiringPlan.runs.flatMap(run => run.steps
+      .filter(step => !step.doubled)
+      .map(step => ({ from: step.from, to: step.to })))
+    : allEdges
+      .filter(edge => enabledEdges.has(edge.key))
+      .map(edge => ({ from: edge.v1, to: edge.v2 }));
+
+  const positions = [];
+  for (const { from, to } of segments) {
+    const a = vertices.get(from);
+    const b = vertices.get(to);
+    for (let i = 0; i < ledsPerSegment; i++) {
+      const t = (i + 0.5) / ledsPerSegment;
+      positions.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+    }
+  }
+  return positions;
+}
+
+/**
+ * Snap LED positions onto a grid with one cell per LED pitch
+ * Diagonal segments can round two LEDs into one cell; the later LED moves to
+ * the nearest free neighbouring cell so every LED keeps its own cell.
+ * @param {Array} positions - LED positions (pixels)
+ * @param {number} pitch - Distance between LEDs (pixels)
+ * @returns {object} { width, height, cells: [{ x, y }] } in LED order
+ */
+export function quantizeLeds(positions, pitch) {
+  if (positions.length === 0) return { width: 0, height: 0, cells: [] };
+
+  const minX = positions.reduce((min, p) => Math.min(min, p.x), Infinity);
+  const minY = positions.reduce((min, p) => Math.min(min, p.y), Infinity);
+  const taken = new Set();
+  const cells = [];
+
+  for (const p of positions) {
+    const gx = Math.round((p.x - minX) / pitch);
+    const gy = Math.round((p.y - minY) / pitch);
+    let cell = null;
+
+    // Search outward ring by ring for a free cell
+    for (let radius = 0; !cell; radius++) {
+      for (let dy = -radius; dy <= radius && !cell; dy++) {
+        for (let dx = -radius; dx <= radius && !cell; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+          const x = gx + dx;
+          const y = gy + dy;
+          if (x >= 0 && y >= 0 && !taken.has(`${x},${y}`)) cell = { x, y };
+        }
+      }
+    }
+
+    taken.add(`${cell.x},${cell.y}`);
+    cells.push(cell);
+  }
+
+  return {
+    width: cells.reduce((max, c) => Math.max(max, c.x), 0) + 1,
+    height: cells.reduce((max, c) => Math.max(max, c.y), 0) + 1,
+    cells
+  };
+}
+
+// Row-major grid of LED indices (-1 where there is no LED)
+function toIndexGrid(map) {
+  const grid = Array.from({ length: map.height }, () => new Array(map.width).fill(-1));
+  map.cells.forEach((cell, index) => {
+    grid[cell.y][cell.x] = index;
+  });
+  return grid;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Generate a pixel-map file
+ * @param {string} format - One of PIXEL_MAP_FORMATS values
+ * @param {string} name - Design name
+ * @param {object} map - Output of quantizeLeds
+ * @returns {string} File content
+ */
+export function generatePixelMap(format, name, map) {
+  const grid = toIndexGrid(map);
+
+  if (format === 'wled') {
+    // WLED 2D ledmap: physical grid cells in row order, LED index or -1
+    return JSON.stringify({ n: name, width: map.width, height: map.height, map: grid.flat() }) + '\n';
+  }
+
+  if (format === 'xlights-csv' || format === 'xlights-xml') {
+    // xLights custom model cells hold 1-based node numbers, blank when empty
+    const rows = grid.map(row => row.map(index => (index >= 0 ? index + 1 : '')));
+    if (format === 'xlights-csv') return toCsv(rows);
+
+    const customModel = rows.map(row => row.join(',')).join(';');
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<custommodel name="${escapeXml(name)}" parm1="${map.width}" parm2="${map.height}" StringType="RGB Nodes" Transparency="0" PixelSize="2" ModelBrightness="" Antialias="1" CustomModel="${customModel}">`,
+      '</custommodel>',
+      ''
+    ].join('\n');
+  }
+
+  // FastLED: x/y grid coordinate of each LED in chain order
+  const type = map.width > 255 || map.height > 255 ? 'uint16_t' : 'uint8_t';
+  const coords = map.cells.map(cell => `  {${cell.x}, ${cell.y}}`);
+  return [
+    `// ${name.replace(/[\r\n]/g, ' ')}: LED coordinates in LED-pitch grid units, chain order`,
+    `#define NUM_LEDS ${map.cells.length}`,
+    `#define LED_MAP_WIDTH ${map.width}`,
+    `#define LED_MAP_HEIGHT ${map.height}`,
+    '',
+    `const ${type} ledCoords[NUM_LEDS][2] PROGMEM = {`,
+    coords.join(',\n'),
+    '};',
+    ''
+  ].join('\n');
+}
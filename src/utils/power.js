@@ -0,0 +1,54 @@
+/**
+ * LED power budget and power-supply sizing
+ *
+ * Each segment is an LED bar with a fixed number of LEDs. Power is estimated
+ * at full white, scaled by the brightness cap the controller enforces.
+ */
+
+export const DEFAULT_LED_SPECS = {
+  ledsPerSegment: 18,
+  voltage: 12,
+  wattsPerLed: 0.24,  // full white
+  brightness: 100,    // brightness cap (percent)
+  psuWatts: 150,      // rating of a single power supply
+  headroom: 20        // spare capacity to keep on each supply (percent)
+};
+
+// Editable LED spec fields, in display order
+export const LED_SPEC_FIELDS = [
+  { key: 'ledsPerSegment', label: 'LEDs per segment', step: 1 },
+  { key: 'voltage', label: 'Voltage (V)', step: 1 },
+  { key: 'wattsPerLed', label: 'Watts per LED', step: 0.01 },
+  { key: 'brightness', label: 'Brightness cap (%)', step: 1 },
+  { key: 'psuWatts', label: 'PSU rating (W)', step: 10 },
+  { key: 'headroom', label: 'PSU headroom (%)', step: 1 }
+];
+
+// Common off-the-shelf LED power supply ratings (watts)
+const STANDARD_PSU_SIZES = [35, 60, 100, 150, 200, 250, 300, 350, 400, 500, 600, 750, 1000];
+
+/**
+ * Calculate total power draw and power-supply requirements
+ * @param {number} segments - Number of enabled segments
+ * @param {object} ledSpecs - LED specs (see DEFAULT_LED_SPECS)
+ * @returns {object} { leds, watts, amps, requiredWatts, recommendedPsu, supplies }
+ */
+export function calculatePowerBudget(segments, ledSpecs) {
+  const specs = { ...DEFAULT_LED_SPECS, ...ledSpecs };
+
+  const leds = segments * specs.ledsPerSegment;
+  const watts = leds * specs.wattsPerLed * (specs.brightness / 100);
+  const amps = specs.voltage > 0 ? watts / specs.voltage : 0;
+
+  // Supply capacity needed once headroom is reserved
+  const requiredWatts = watts * (1 + specs.headroom / 100);
+
+  // Smallest standard supply that covers the whole design on its own
+  const recommendedPsu = STANDARD_PSU_SIZES.find(size => size >= requiredWatts) ?? null;
+
+  // Supplies of the configured rating needed, each loaded within its headroom
+  const usableWatts = specs.psuWatts / (1 + specs.headroom / 100);
+  const supplies = watts > 0 && usableWatts > 0 ? Math.ceil(watts / usableWatts) : 0;
+
+  return { leds, watts, amps, requiredWatts, recommendedPsu, supplies };
+}
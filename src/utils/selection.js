@@ -0,0 +1,118 @@
+/**
+ * Selection geometry: picking edges inside a shape and moving, rotating and
+ * flipping groups of edges on the hex lattice
+ *
+ * The honeycomb only maps onto itself under moves between hexagon centers,
+ * rotations by multiples of 60° about a hexagon center, and flips across an
+ * axis through one. Every transform here pivots on, or snaps to, hexagon
+ * centers so edges always land on lattice edges. Positions are in the same
+ * units as size (the grid's pixels per point spacing).
+ */
+import { getVertexKey, getVertexPosition, getEdgeKey, getNearestCellCenter } from './hexMath';
+
+/**
+ * Hexagon center nearest to the middle of a group of edges
+ * Used as the pivot for rotating and flipping, and as the handle for moving.
+ * @returns {object|null} { x, y }, or null for no edges
+ */
+export function getSelectionPivot(edgeKeys, size, pointyTop = true) {
+  if (edgeKeys.length === 0) return null;
+
+  let sumX = 0;
+  let sumY = 0;
+  for (const key of edgeKeys) {
+    for (const vertexKey of key.split('|')) {
+      const { x, y } = getVertexPosition(vertexKey, size, pointyTop);
+      sumX += x;
+      sumY += y;
+    }
+  }
+  const count = edgeKeys.length * 2;
+  return getNearestCellCenter(sumX / count, sumY / count, size, pointyTop);
+}
+
+/**
+ * Snap an offset to the nearest move that keeps edges on the lattice
+ * @param {object} pivot - Hexagon center the offset is measured from
+ * @returns {object} { dx, dy }
+ */
+export function snapOffset(pivot, dx, dy, size, pointyTop = true) {
+  const target = getNearestCellCenter(pivot.x + dx, pivot.y + dy, size, pointyTop);
+  return { dx: target.x - pivot.x, dy: target.y - pivot.y };
+}
+
+// Apply a point transform to both ends of every edge
+function mapEdges(edgeKeys, size, pointyTop, transform) {
+  return edgeKeys.map(key => {
+    const [v1, v2] = key.split('|').map(vertexKey => {
+      const { x, y } = transform(getVertexPosition(vertexKey, size, pointyTop));
+      return getVertexKey(x, y, size, pointyTop);
+    });
+    return getEdgeKey(v1, v2);
+  });
+}
+
+/**
+ * Move edges by a lattice offset (see snapOffset)
+ * @returns {Array} Moved edge keys
+ */
+export function translateEdges(edgeKeys, dx, dy, size, pointyTop = true) {
+  return mapEdges(edgeKeys, size, pointyTop, ({ x, y }) => ({ x: x + dx, y: y + dy }));
+}
+
+/**
+ * Rotate edges by multiples of 60° about a hexagon center
+ * @param {number} steps - Number of 60° steps, positive is clockwise on screen
+ * @returns {Array} Rotated edge keys
+ */
+export function rotateEdges(edgeKeys, steps, pivot, size, pointyTop = true) {
+  const angle = (steps * Math.PI) / 3;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return mapEdges(edgeKeys, size, pointyTop, ({ x, y }) => ({
+    x: pivot.x + (x - pivot.x) * cos - (y - pivot.y) * sin,
+    y: pivot.y + (x - pivot.x) * sin + (y - pivot.y) * cos
+  }));
+}
+
+/**
+ * Flip edges across a line through a hexagon center
+ * @param {boolean} horizontal - true mirrors left-right, false mirrors top-bottom
+ * @returns {Array} Flipped edge keys
+ */
+export function flipEdges(edgeKeys, horizontal, pivot, size, pointyTop = true) {
+  return mapEdges(edgeKeys, size, pointyTop, ({ x, y }) => (horizontal
+    ? { x: 2 * pivot.x - x, y }
+    : { x, y: 2 * pivot.y - y }));
+}
+
+// Ray-casting point-in-polygon test
+function isInsidePolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Enabled edges with both ends inside a rectangle or lasso outline
+ * @param {Array} polygon - Outline points ({ x, y } pixels)
+ * @param {Set} enabledEdges - Enabled edge keys
+ * @param {Array} allEdges - All grid edges
+ * @param {Map} vertices - Vertex positions (pixels)
+ * @returns {Array} Edge keys
+ */
+export function selectEdgesInPolygon(polygon, enabledEdges, allEdges, vertices) {
+  if (polygon.length < 3) return [];
+  return allEdges
+    .filter(edge => enabledEdges.has(edge.key) &&
+      isInsidePolygon(vertices.get(edge.v1), polygon) &&
+      isInsidePolygon(vertices.get(edge.v2), polygon))
+    .map(edge => edge.key);
+}
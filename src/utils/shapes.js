@@ -0,0 +1,165 @@
+/**
+ * Parametric shapes on the hex lattice
+ *
+ * Shapes are built from hexagons in axial coordinates (q, r) around an anchor
+ * hexagon, as pointy-top outlines or fills, then converted to edge keys.
+ * Flat-top grids are the same lattice with x and y swapped (see
+ * getNearestCellCenter), so shapes are transposed there. Edges may fall
+ * outside the grid; callers check them against the grid's edges.
+ */
+import { getVertexKey, getVertexPosition, getEdgeKey } from './hexMath';
+
+// Shapes offered by the generator. Size is in hexagons; min and max bound it.
+export const SHAPES = [
+  { value: 'ring', label: 'Hexagon ring', sizeLabel: 'Radius', min: 0, max: 30 },
+  { value: 'cluster', label: 'Honeycomb cluster', sizeLabel: 'Radius', min: 0, max: 30 },
+  { value: 'concentric', label: 'Concentric rings', sizeLabel: 'Rings', min: 1, max: 15 },
+  { value: 'spiral', label: 'Hex spiral', sizeLabel: 'Turns', min: 1, max: 30 },
+  { value: 'zigzag', label: 'Zig-zag band', sizeLabel: 'Length', min: 1, max: 60 },
+  { value: 'chevron', label: 'Chevron', sizeLabel: 'Arm length', min: 1, max: 30 },
+  { value: 'diamond', label: 'Diamond', sizeLabel: 'Side', min: 1, max: 30 }
+];
+
+// How generated edges combine with the design
+export const SHAPE_MODES = [
+  { value: 'add', label: 'Add' },
+  { value: 'subtract', label: 'Subtract' },
+  { value: 'replace', label: 'Replace' }
+];
+
+// Axial steps to the neighbouring hexagons used below
+const EAST = [1, 0];
+const SOUTH_WEST = [-1, 1];
+const SOUTH_EAST = [0, 1];
+
+function hexDistance(q, r) {
+  return (Math.abs(q) + Math.abs(r) + Math.abs(q + r)) / 2;
+}
+
+// Hexagons within a radius of the anchor
+function clusterCells(radius) {
+  const cells = [];
+  for (let q = -radius; q <= radius; q++) {
+    for (let r = -radius; r <= radius; r++) {
+      if (hexDistance(q, r) <= radius) cells.push([q, r]);
+    }
+  }
+  return cells;
+}
+
+// Hexagons in a line from a start, count long
+function lineCells(start, step, count) {
+  return Array.from({ length: count }, (_, i) => [start[0] + step[0] * i, start[1] + step[1] * i]);
+}
+
+/**
+ * Converts hexagons around an anchor into lattice keys
+ * Corner 0 is the top of a pointy-top hexagon, counting clockwise.
+ */
+function createFrame(anchorKey, size, pointyTop) {
+  const anchor = getVertexPosition(anchorKey, size, pointyTop);
+
+  const corner = ([q, r], index) => {
+    const angle = ((-90 + 60 * index) * Math.PI) / 180;
+    const x = size * Math.sqrt(3) * (q + r / 2) + size * Math.cos(angle);
+    const y = size * 1.5 * r + size * Math.sin(angle);
+    return pointyTop
+      ? getVertexKey(anchor.x + x, anchor.y + y, size, pointyTop)
+      : getVertexKey(anchor.x + y, anchor.y + x, size, pointyTop);
+  };
+
+  // Edge from corner index to the next corner of a hexagon
+  const side = (cell, index) => getEdgeKey(corner(cell, index), corner(cell, (index + 1) % 6));
+
+  return { side };
+}
+
+// Every edge of the hexagons
+function fill(frame, cells) {
+  const edges = new Set();
+  for (const cell of cells) {
+    for (let i = 0; i < 6; i++) edges.add(frame.side(cell, i));
+  }
+  return Array.from(edges);
+}
+
+// Edges on the boundary of the hexagons (those belonging to just one), for
+// hexagons listed once each
+function outline(frame, cells) {
+  const counts = new Map();
+  for (const cell of cells) {
+    for (let i = 0; i < 6; i++) {
+      const key = frame.side(cell, i);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  return Array.from(counts).filter(([, count]) => count === 1).map(([key]) => key);
+}
+
+// One ring of the spiral per turn. Each ring is opened at the upper-right
+// side of its top-left hexagon, and the vertical side above that hexagon's top
+// corner steps out to the next ring where it was opened, so the rings join
+// into a single path.
+function spiral(frame, turns) {
+  const edges = new Set();
+  for (let k = 0; k < turns; k++) {
+    const opening = frame.side([0, -k], 0);
+    for (const key of outline(frame, clusterCells(k))) {
+      if (key !== opening) edges.add(key);
+    }
+    if (k < turns - 1) edges.add(frame.side([0, -k - 1], 1));
+  }
+  return Array.from(edges);
+}
+
+/**
+ * Edge keys of a shape
+ * @param {string} shape - One of SHAPES
+ * @param {number} shapeSize - Size in hexagons (see SHAPES)
+ * @param {string} anchorKey - Lattice key of the anchor hexagon's center
+ * @param {number} size - Pixels per point spacing
+ * @param {boolean} pointyTop - Hex orientation
+ * @returns {Array} Edge keys, possibly outside the grid
+ */
+export function generateShape(shape, shapeSize, anchorKey, size, pointyTop = true) {
+  const frame = createFrame(anchorKey, size, pointyTop);
+  const n = Math.max(0, Math.round(shapeSize));
+
+  switch (shape) {
+    case 'ring':
+      return outline(frame, clusterCells(n));
+    case 'cluster':
+      return fill(frame, clusterCells(n));
+    case 'concentric': {
+      // Outlines of successive radii, a band of hexagons apart
+      const edges = [];
+      for (let k = 0; k < n; k++) edges.push(...outline(frame, clusterCells(k)));
+      return edges;
+    }
+    case 'spiral':
+      return spiral(frame, n);
+    case 'zigzag':
+      // A row of hexagons centered on the anchor; its outline zig-zags along
+      // the top and bottom
+      return outline(frame, lineCells([-Math.floor((n - 1) / 2), 0], EAST, n));
+    case 'chevron':
+      // Point at the anchor, arms running down to either side
+      return outline(frame, [
+        ...lineCells([0, 0], SOUTH_WEST, n + 1),
+        ...lineCells(SOUTH_EAST, SOUTH_EAST, n)
+      ]);
+    case 'diamond': {
+      // Rhombus with its sides down-left and down-right, centered on the anchor
+      const offset = Math.floor((n - 1) / 2);
+      const cells = [];
+      for (let i = -offset; i < n - offset; i++) {
+        for (let j = -offset; j < n - offset; j++) {
+          cells.push([SOUTH_WEST[0] * i + SOUTH_EAST[0] * j, SOUTH_WEST[1] * i + SOUTH_EAST[1] * j]);
+        }
+      }
+      return outline(frame, cells);
+    }
+    default:
+      return [];
+  }
+}
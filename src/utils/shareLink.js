@@ -0,0 +1,108 @@
+/**
+ * Shareable design links
+ *
+ * A design is packed into the URL hash as #share=<data>. The edge list is
+ * stored as a bitset over the edges of the design's grid (in generateGrid
+ * order, which depends only on the grid configuration), so a link costs one
+ * bit per grid edge rather than a string per enabled edge. The packed bytes
+ * are deflated and base64url-encoded:
+ *
+ *   [header length: uint32][header: UTF-8 JSON][edge bitset]
+ *
+ * The header holds the design name and every other design setting.
+ */
+import { generateGrid, getGridDimensions } from './hexMath';
+import { migrateDesign, validateDesign, DesignFileError } from './designFile';
+
+const HASH_PREFIX = '#share=';
+
+// Edge keys of a grid in a stable order
+function getGridEdgeKeys(design) {
+  const dims = getGridDimensions(design.width, design.length, design.spacing, design.pointyTop);
+  const { edges } = generateGrid(dims.cols, dims.colsOdd, dims.rows, dims.rowsOdd, 1, design.pointyTop);
+  return edges.map(edge => edge.key);
+}
+
+async function transform(bytes, stream) {
+  const piped = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(piped).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Check whether the current URL carries a shared design
+ * @param {string} hash - window.location.hash
+ */
+export function hasShareLink(hash) {
+  return hash.startsWith(HASH_PREFIX);
+}
+
+/**
+ * Encode a design as a share link hash
+ * @param {object} design - Output of getDesignState
+ * @param {string} name - Design name shown to the recipient
+ * @returns {Promise<string>} Hash, including the leading '#'
+ */
+export async function encodeShareLink(design, name) {
+  const { enabledEdges, ...settings } = design;
+  const header = new TextEncoder().encode(JSON.stringify({ ...settings, name }));
+
+  const enabled = new Set(enabledEdges);
+  const edgeKeys = getGridEdgeKeys(design);
+  const bits = new Uint8Array(Math.ceil(edgeKeys.length / 8));
+  edgeKeys.forEach((key, index) => {
+    if (enabled.has(key)) bits[index >> 3] |= 1 << (index & 7);
+  });
+
+  const packed = new Uint8Array(4 + header.length + bits.length);
+  new DataView(packed.buffer).setUint32(0, header.length);
+  packed.set(header, 4);
+  packed.set(bits, 4 + header.length);
+
+  const compressed = await transform(packed, new CompressionStream('deflate-raw'));
+  return HASH_PREFIX + toBase64Url(compressed);
+}
+
+/**
+ * Decode a share link hash back into a design
+ * @param {string} hash - window.location.hash
+ * @returns {Promise<object>} { name, design } with the design at the current schema version
+ * @throws {DesignFileError} If the link is damaged or the design is invalid
+ */
+export async function decodeShareLink(hash) {
+  let packed;
+  let header;
+  try {
+    packed = await transform(fromBase64Url(hash.slice(HASH_PREFIX.length)), new DecompressionStream('deflate-raw'));
+    const headerLength = new DataView(packed.buffer).getUint32(0);
+    header = JSON.parse(new TextDecoder().decode(packed.subarray(4, 4 + headerLength)));
+    packed = packed.subarray(4 + headerLength);
+    if (header === null || typeof header !== 'object') throw new Error('Missing header');
+  } catch {
+    throw new DesignFileError('This share link is damaged or incomplete. Ask for a new link.');
+  }
+
+  const { name, ...settings } = header;
+  const designName = typeof name === 'string' && name.trim() ? name : 'Shared design';
+
+  // Check the grid configuration, size limits included, before building the
+  // grid the bits refer to
+  const design = migrateDesign({ ...settings, enabledEdges: [] });
+  validateDesign(design, designName);
+
+  const edgeKeys = getGridEdgeKeys(design);
+  const enabledEdges = edgeKeys.filter((key, index) => packed[index >> 3] & (1 << (index & 7)));
+  return { name: designName, design: { ...design, enabledEdges } };
+}
@@ -0,0 +1,113 @@
+/**
+ * Uniform-grid spatial index for finding grid items near a point or inside a
+ * rectangle without scanning every item
+ *
+ * Items are stored by index in square buckets; an item whose bounds span
+ * several buckets is stored in each of them. Positions are in grid pixels.
+ */
+
+function bucketKey(bx, by) {
+  return `${bx},${by}`;
+}
+
+/**
+ * Build an index over items
+ * @param {number} count - Number of items
+ * @param {function} getBounds - index => { minX, minY, maxX, maxY }
+ * @param {number} bucketSize - Bucket width and height (grid pixels)
+ * @returns {object} Index for queryRect
+ */
+export function createSpatialIndex(count, getBounds, bucketSize) {
+  const buckets = new Map();
+
+  for (let index = 0; index < count; index++) {
+    const { minX, minY, maxX, maxY } = getBounds(index);
+    for (let bx = Math.floor(minX / bucketSize); bx <= Math.floor(maxX / bucketSize); bx++) {
+      for (let by = Math.floor(minY / bucketSize); by <= Math.floor(maxY / bucketSize); by++) {
+        const key = bucketKey(bx, by);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+      }
+    }
+  }
+
+  return { buckets, bucketSize };
+}
+
+/**
+ * Indices of items in buckets overlapping a rectangle, in ascending order
+ * Items near the rectangle may be included; callers check exact bounds if needed.
+ * @param {object} rect - { minX, minY, maxX, maxY }
+ * @returns {Array} Item indices
+ */
+export function queryRect(index, rect) {
+  const { buckets, bucketSize } = index;
+  const found = new Set();
+
+  for (let bx = Math.floor(rect.minX / bucketSize); bx <= Math.floor(rect.maxX / bucketSize); bx++) {
+    for (let by = Math.floor(rect.minY / bucketSize); by <= Math.floor(rect.maxY / bucketSize); by++) {
+      for (const item of buckets.get(bucketKey(bx, by)) || []) found.add(item);
+    }
+  }
+
+  return Array.from(found).sort((a, b) => a - b);
+}
+
+// Distance from point p to the segment a-b
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Build a spatial index over grid edges
+ * @param {Array} allEdges - All grid edges
+ * @param {Map} vertices - Vertex positions (grid pixels)
+ * @param {number} bucketSize - Bucket size (grid pixels), about two edge lengths works well
+ */
+export function createEdgeSpatialIndex(allEdges, vertices, bucketSize) {
+  return createSpatialIndex(allEdges.length, (index) => {
+    const v1 = vertices.get(allEdges[index].v1);
+    const v2 = vertices.get(allEdges[index].v2);
+    return {
+      minX: Math.min(v1.x, v2.x),
+      minY: Math.min(v1.y, v2.y),
+      maxX: Math.max(v1.x, v2.x),
+      maxY: Math.max(v1.y, v2.y)
+    };
+  }, bucketSize);
+}
+
+/**
+ * Edge nearest to a point, within a distance
+ * @param {object} index - Output of createEdgeSpatialIndex
+ * @param {object} point - { x, y } (grid pixels)
+ * @param {number} maxDistance - Largest distance that counts as a hit (grid pixels)
+ * @returns {string|null} Edge key
+ */
+export function findEdgeAt(index, allEdges, vertices, point, maxDistance) {
+  let best = null;
+  let bestDistance = maxDistance;
+
+  const candidates = queryRect(index, {
+    minX: point.x - maxDistance,
+    minY: point.y - maxDistance,
+    maxX: point.x + maxDistance,
+    maxY: point.y + maxDistance
+  });
+  for (const candidate of candidates) {
+    const edge = allEdges[candidate];
+    const distance = distanceToSegment(point, vertices.get(edge.v1), vertices.get(edge.v2));
+    if (distance <= bestDistance) {
+      best = edge.key;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,124 @@
+/**
+ * Voltage-drop simulation over the enabled-edge graph
+ *
+ * Models the design as a resistive network: every segment has the same
+ * resistance (supply and return combined) and draws the same load current,
+ * taken half from each of its joints. Power feed vertices are held at the
+ * supply voltage and the voltage at every other joint is solved with
+ * successive over-relaxation of the nodal equations.
+ */
+import { buildAdjacency } from './graph';
+
+export const DEFAULT_VOLTAGE_SETTINGS = {
+  resistance: 0.06, // ohms per segment, round trip
+  load: 0.36,       // amps per segment at full load
+  threshold: 90     // flag joints below this percent of supply voltage
+};
+
+// Editable voltage-drop fields, in display order
+export const VOLTAGE_SETTING_FIELDS = [
+  { key: 'resistance', label: 'Ω per segment', step: 0.01 },
+  { key: 'load', label: 'Amps per segment', step: 0.01 },
+  { key: 'threshold', label: 'Low voltage (%)', step: 1 }
+];
+
+const RELAXATION = 1.8;
+const TOLERANCE = 1e-6;
+const MAX_ITERATIONS = 10000;
+// Longest a solve may run, in milliseconds. Very large designs stop short of
+// full convergence rather than stall the editor, and the result says so.
+const TIME_BUDGET = 150;
+
+/**
+ * Estimate the voltage at every joint of the design
+ * @param {Set} enabledEdges - Enabled edge keys
+ * @param {Array} allEdges - All grid edges
+ * @param {Map} jointCounts - Enabled segments per vertex (from calculateStats)
+ * @param {Array} feeds - Vertex keys where power is injected
+ * @param {number} supplyVoltage - Voltage at each feed
+ * @param {object} settings - { resistance, load, threshold }
+ * @returns {object} { voltages, minVoltage, lowJoints, unpowered, suggestion, converged }
+ *   voltages maps joint keys to volts (null for joints with no path to a feed);
+ *   converged is false if the time budget ran out first
+ */
+export function simulateVoltageDrop(enabledEdges, allEdges, jointCounts, feeds, supplyVoltage, settings) {
+  const { resistance, load, threshold } = { ...DEFAULT_VOLTAGE_SETTINGS, ...settings };
+  const adjacency = buildAdjacency(enabledEdges, allEdges);
+  const feedSet = new Set(feeds.filter(key => jointCounts.has(key)));
+
+  // Find joints connected to a feed; the rest have no supply at all
+  const powered = new Set(feedSet);
+  const queue = Array.from(feedSet);
+  while (queue.length > 0) {
+    const key = queue.pop();
+    for (const { vertex } of adjacency.get(key) || []) {
+      if (!powered.has(vertex)) {
+        powered.add(vertex);
+        queue.push(vertex);
+      }
+    }
+  }
+
+  // Node equation for uniform segment resistance R and joint sink current I:
+  //   V = (sum of neighbour voltages - I * R) / degree
+  // where I is half the load of each segment meeting at the joint
+  const voltages = new Map();
+  const free = [];
+  for (const key of jointCounts.keys()) {
+    if (!powered.has(key)) {
+      voltages.set(key, null);
+    } else {
+      voltages.set(key, supplyVoltage);
+      if (!feedSet.has(key)) free.push(key);
+    }
+  }
+
+  const started = performance.now();
+  let converged = free.length === 0;
+  for (let iteration = 0; iteration < MAX_ITERATIONS && !converged; iteration++) {
+    let maxChange = 0;
+    for (const key of free) {
+      const neighbours = adjacency.get(key);
+      const degree = jointCounts.get(key);
+      let sum = 0;
+      for (const { vertex } of neighbours) sum += voltages.get(vertex);
+      const target = (sum - (degree * load / 2) * resistance) / degree;
+      const current = voltages.get(key);
+      const next = current + RELAXATION * (target - current);
+      maxChange = Math.max(maxChange, Math.abs(next - current));
+      voltages.set(key, next);
+    }
+    if (maxChange < TOLERANCE) {
+      converged = true;
+    } else if (performance.now() - started > TIME_BUDGET) {
+      break;
+    }
+  }
+
+  let minVoltage = feedSet.size > 0 ? supplyVoltage : null;
+  let lowest = null;
+  const lowJoints = [];
+  const limit = supplyVoltage * (threshold / 100);
+
+  for (const [key, volts] of voltages) {
+    if (volts === null) continue;
+    if (volts < minVoltage) {
+      minVoltage = volts;
+      lowest = key;
+    }
+    if (volts < limit) lowJoints.push(key);
+  }
+
+  const unpowered = Array.from(voltages.keys()).filter(key => voltages.get(key) === null);
+
+  // Suggest the next injection point: the best-connected joint of an unpowered
+  // piece if there is one, otherwise the joint with the worst voltage
+  let suggestion = null;
+  if (unpowered.length > 0) {
+    suggestion = unpowered.reduce((best, key) => (jointCounts.get(key) > jointCounts.get(best) ? key : best));
+  } else if (lowJoints.length > 0) {
+    suggestion = lowest;
+  }
+
+  return { voltages, minVoltage, lowJoints, unpowered, suggestion, converged };
+}
@@ -0,0 +1,187 @@
+/**
+ * Data-line wiring planner for addressable LEDs
+ *
+ * An addressable chain can't branch, but hex designs branch at every 3-joint.
+ * Each connected piece of the design gets a single data run that covers every
+ * segment. A run can only pass through a joint an even number of times, so
+ * joints with an odd number of segments are paired up and the shortest path
+ * between each pair is travelled twice: once lit, once doubled back (a data
+ * jumper alongside an already-wired bar). The two joints left unpaired become
+ * the start and end of the run, and the route is an Eulerian trail
+ * (Hierholzer's algorithm) through the segments plus the doubled paths.
+ */
+import { buildAdjacency, findComponents } from './graph';
+import { getDirectionName } from './hexMath';
+import { toCsv } from './download';
+
+const INCH_TO_CM = 2.54;
+
+// Breadth-first search from a vertex to the nearest of a set of targets
+// Returns the path as an array of { vertex, edge } steps, or null
+function shortestPathToAny(adjacency, from, targets) {
+  const cameFrom = new Map([[from, null]]);
+  const queue = [from];
+
+  for (let i = 0; i < queue.length; i++) {
+    const key = queue[i];
+    if (key !== from && targets.has(key)) {
+      const path = [];
+      let current = key;
+      while (cameFrom.get(current)) {
+        const step = cameFrom.get(current);
+        path.unshift({ vertex: current, edge: step.edge });
+        current = step.vertex;
+      }
+      return path;
+    }
+    for (const { vertex, edge } of adjacency.get(key)) {
+      if (!cameFrom.has(vertex)) {
+        cameFrom.set(vertex, { vertex: key, edge });
+        queue.push(vertex);
+      }
+    }
+  }
+
+  return null;
+}
+
+// Top-most, then left-most vertex of a piece
+function topLeft(keys, vertices) {
+  return keys.reduce((best, key) => {
+    const v = vertices.get(key);
+    const b = vertices.get(best);
+    return v.y < b.y - 0.01 || (Math.abs(v.y - b.y) < 0.01 && v.x < b.x) ? key : best;
+  });
+}
+
+/**
+ * Plan one data run per connected piece of the design
+ * @param {Set} enabledEdges - Enabled edge keys
+ * @param {Array} allEdges - All grid edges
+ * @param {Map} vertices - Vertex positions
+ * @param {string|null} startVertex - Preferred start joint (applies to its piece)
+ * @returns {object} { runs, doubledCount }
+ *   runs: [{ start, end, steps: [{ edge, from, to, doubled }] }]
+ */
+export function planWiring(enabledEdges, allEdges, vertices, startVertex) {
+  const adjacency = buildAdjacency(enabledEdges, allEdges);
+  const runs = [];
+  let doubledCount = 0;
+
+  for (const piece of findComponents(adjacency)) {
+    const odd = piece.filter(key => adjacency.get(key).length % 2 === 1);
+
+    // Start at the chosen joint, else the top-left dead end or branch
+    const start = piece.includes(startVertex)
+      ? startVertex
+      : topLeft(odd.length > 0 ? odd : piece, vertices);
+
+    // Joints whose parity must flip so only the start and one end stay odd
+    const unpaired = new Set(odd);
+    if (unpaired.has(start)) unpaired.delete(start);
+    else unpaired.add(start);
+
+    // Pair the nearest unpaired joints greedily; the last one left is the end
+    const links = piece.flatMap(key => adjacency.get(key)
+      .filter(({ vertex }) => key < vertex)
+      .map(({ vertex, edge }) => ({ a: key, b: vertex, edge, doubled: false })));
+
+    const ordered = Array.from(unpaired);
+    while (unpaired.size > 1) {
+      const from = ordered.find(key => unpaired.has(key));
+      unpaired.delete(from);
+      const path = shortestPathToAny(adjacency, from, unpaired);
+      let previous = from;
+      for (const { vertex, edge } of path) {
+        links.push({ a: previous, b: vertex, edge, doubled: true });
+        previous = vertex;
+      }
+      unpaired.delete(previous);
+      doubledCount += path.length;
+    }
+
+    // Hierholzer's algorithm over the segments plus doubled paths
+    const incident = new Map(piece.map(key => [key, []]));
+    links.forEach((link, index) => {
+      incident.get(link.a).push(index);
+      incident.get(link.b).push(index);
+    });
+    const used = new Array(links.length).fill(false);
+    const stack = [{ vertex: start, link: null }];
+    const trail = [];
+
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      const options = incident.get(top.vertex);
+      while (options.length > 0 && used[options[options.length - 1]]) options.pop();
+
+      if (options.length > 0) {
+        const index = options.pop();
+        used[index] = true;
+        const link = links[index];
+        stack.push({ vertex: link.a === top.vertex ? link.b : link.a, link: index });
+      } else {
+        trail.push(stack.pop());
+      }
+    }
+    trail.reverse();
+
+    const steps = [];
+    for (let i = 1; i < trail.length; i++) {
+      const link = links[trail[i].link];
+      steps.push({
+        edge: link.edge,
+        from: trail[i - 1].vertex,
+        to: trail[i].vertex,
+        doubled: link.doubled
+      });
+    }
+
+    runs.push({ start, end: trail[trail.length - 1].vertex, steps });
+  }
+
+  return { runs, doubledCount };
+}
+
+/**
+ * Generate an ordered segment list for installers
+ * Each row says which segment comes next in the run and which way data flows
+ * @param {object} plan - Output of planWiring
+ * @param {Map} vertices - Vertex positions (pixels)
+ * @param {number} spacing - Point spacing (inches)
+ * @param {number} pixelSize - Pixels per point spacing
+ * @param {string} units - 'in' or 'cm' for coordinates
+ * @returns {string} CSV content
+ */
+export function generateWiringCsv(plan, vertices, spacing, pixelSize, units) {
+  const unitScale = units === 'cm' ? INCH_TO_CM : 1;
+  const unitLabel = units === 'cm' ? 'cm' : 'in';
+  const coord = (pixels) => ((pixels / pixelSize) * spacing * unitScale).toFixed(1);
+
+  const rows = [[
+    'Run', 'Step', 'Segment', 'From', 'To', 'Direction', 'Doubled Back',
+    `From X (${unitLabel})`, `From Y (${unitLabel})`, `To X (${unitLabel})`, `To Y (${unitLabel})`
+  ]];
+
+  plan.runs.forEach((run, runIndex) => {
+    run.steps.forEach((step, stepIndex) => {
+      const from = vertices.get(step.from);
+      const to = vertices.get(step.to);
+      rows.push([
+        runIndex + 1,
+        stepIndex + 1,
+        step.edge,
+        step.from,
+        step.to,
+        getDirectionName(to.x - from.x, to.y - from.y),
+        step.doubled ? 'yes' : 'no',
+        coord(from.x),
+        coord(from.y),
+        coord(to.x),
+        coord(to.y)
+      ]);
+    });
+  });
+
+  return toCsv(rows);
+}